@@ -0,0 +1,37 @@
+// --- AI Search Worker ---
+// Module worker that runs chessAI's search off the main thread, so rendering and camera controls stay smooth.
+// Messages in:  { type: 'search', id, fen, moves, options } - fen is the game's starting position and moves its
+//               SAN history, so repetitions and the fifty-move rule are seen exactly as in the real game.
+// Messages out: { type: 'progress', id, depth, score, pv, nodes, timeMs } after every completed depth,
+//               { type: 'result', id, result } with searchBestMove()'s result (null when there is no move),
+//               { type: 'error', id, message } when the position cannot be rebuilt or the search fails.
+// The transposition table lives as long as the worker, so consecutive searches share it.
+import { ChessGame } from './chessLogic.js';
+import { parseSAN } from './notation.js';
+import { searchBestMove } from './chessAI.js';
+
+/** Rebuilds a game from its starting FEN and SAN move list. */
+function buildGame(fen, moves) {
+    const game = new ChessGame(fen, { verbose: false });
+    for (const san of moves) {
+        let move;
+        try { move = parseSAN(san, game.getBoardState(), game.getAllLegalMovesForCurrentPlayer()); }
+        catch (error) { throw new Error(`move ${san}: ${error.message}`); }
+        const result = game.makeMove(move.startRow, move.startCol, move.endRow, move.endCol, move.promotion);
+        if (!result.success) throw new Error(`move ${san} was rejected`);
+    }
+    return game;
+}
+
+self.onmessage = (event) => {
+    const { type, id, fen, moves, options } = event.data;
+    if (type !== 'search') { console.warn("AI worker: unknown message type", type); return; }
+    try {
+        const game = buildGame(fen, moves || []);
+        const onProgress = ({ depth, score, pv, nodes, timeMs }) => self.postMessage({ type: 'progress', id, depth, score, pv, nodes, timeMs });
+        const result = searchBestMove(game, { ...options, onProgress });
+        self.postMessage({ type: 'result', id, result });
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+    }
+};
@@ -0,0 +1,92 @@
+// --- AI Worker Client ---
+// Main-thread side of aiWorker.js: one search at a time, answered through a promise.
+// A search cannot be interrupted from inside the worker (it never yields), so canceling terminates
+// the worker; a fresh one is started for the next request.
+
+let worker = null;
+let workerFailed = false; // Set when the worker script cannot run (e.g. no module worker support); requests then reject at once
+let nextSearchId = 1;
+let pendingSearch = null; // { id, resolve, reject, onProgress } of the search in flight
+
+function getWorker() {
+    if (!worker) {
+        worker = new Worker(new URL('./aiWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = onWorkerMessage;
+        worker.onerror = onWorkerError;
+    }
+    return worker;
+}
+
+function onWorkerMessage(event) {
+    const message = event.data;
+    if (!pendingSearch || message.id !== pendingSearch.id) return; // Left over from a canceled search
+    if (message.type === 'progress') {
+        if (pendingSearch.onProgress) pendingSearch.onProgress(message);
+        return;
+    }
+    const { resolve, reject } = pendingSearch;
+    pendingSearch = null;
+    if (message.type === 'result') resolve(message.result);
+    else reject(new Error(`AI worker: ${message.message}`));
+}
+
+function onWorkerError(event) {
+    event.preventDefault();
+    console.error("AI worker failed:", event.message);
+    workerFailed = true;
+    worker.terminate();
+    worker = null;
+    if (pendingSearch) {
+        const { reject } = pendingSearch;
+        pendingSearch = null;
+        reject(new Error(`AI worker failed: ${event.message}`));
+    }
+}
+
+/**
+ * Searches a game's current position in the worker. Any search still running is canceled first.
+ * The worker gets the starting FEN and SAN history, so the game object itself is never shared.
+ * @param {ChessGame} game - The game whose side to move should be searched.
+ * @param {object} [options] - Options for chessAI.searchBestMove() (maxDepth, timeLimitMs); onProgress is called on this
+ *   thread with { depth, score, pv, nodes, timeMs } after every completed depth.
+ * @returns {Promise<?object>} searchBestMove()'s result, or null when the search was canceled or there is no move.
+ *   Rejects when the worker cannot run, so the caller can fall back to searching on the main thread.
+ */
+function requestSearch(game, options = {}) {
+    cancelSearch();
+    if (workerFailed) return Promise.reject(new Error("AI worker is unavailable"));
+    const { onProgress = null, ...searchOptions } = options;
+    const id = nextSearchId++;
+    return new Promise((resolve, reject) => {
+        pendingSearch = { id, resolve, reject, onProgress };
+        try {
+            getWorker().postMessage({ type: 'search', id, fen: game.getStartingFEN(), moves: [...game.getMoveHistory()], options: searchOptions });
+        } catch (error) {
+            pendingSearch = null;
+            workerFailed = true;
+            reject(error);
+        }
+    });
+}
+
+/** Stops the search in flight, if any; its promise resolves to null. */
+function cancelSearch() {
+    if (!pendingSearch) return;
+    const { resolve } = pendingSearch;
+    pendingSearch = null;
+    worker.terminate();
+    worker = null;
+    resolve(null);
+}
+
+/** True while a search is running in the worker. */
+function isSearching() {
+    return pendingSearch !== null;
+}
+
+// --- Export Public Functions ---
+export {
+    requestSearch,
+    cancelSearch,
+    isSearching,
+};
@@ -0,0 +1,320 @@
+import { PIECE_TYPES, COLORS } from './chessLogic.js';
+import { moveToUCI } from './notation.js';
+
+// --- Constants ---
+const PIECE_VALUES = { // Centipawns; used for evaluation and capture ordering
+    [PIECE_TYPES.PAWN]: 100, [PIECE_TYPES.KNIGHT]: 320, [PIECE_TYPES.BISHOP]: 330,
+    [PIECE_TYPES.ROOK]: 500, [PIECE_TYPES.QUEEN]: 900, [PIECE_TYPES.KING]: 20000,
+};
+const MATE_SCORE = 1000000; // Mate in N plies scores MATE_SCORE - N, so faster mates are preferred
+const MATE_THRESHOLD = MATE_SCORE - 1000; // Scores beyond this are forced mates
+const TIME_CHECK_INTERVAL = 256; // Nodes searched between clock reads
+const QUIESCENCE_NODE_LIMIT = 500; // Quiescence nodes allowed below each horizon node before it settles for the static score
+const DELTA_MARGIN = 200; // Delta pruning: skip captures that cannot lift the score to alpha even with this much to spare
+const DEFAULT_TABLE_SIZE_BITS = 18; // 2^18 transposition table entries
+const BOUND = { EXACT: 0, LOWER: 1, UPPER: 2 }; // What a stored score means: exact, at least (fail high), at most (fail low)
+const DEFAULT_SEARCH_OPTIONS = {
+    maxDepth: 4, // Deepest iteration of the iterative deepening loop
+    timeLimitMs: 2000, // Per-move budget; the iteration running when it expires is discarded
+    onProgress: null, // Called with the result of every completed depth
+    transpositionTable: null, // Defaults to a table shared by all searches, so later moves reuse earlier work
+    evaluationNoise: 0, // Up to this many centipawns are added to or taken from every static evaluation
+    suboptimalMoveChance: 0, // Probability of playing a weaker move than the best one found...
+    suboptimalMargin: 0, // ...that a shallow search rates at most this many centipawns worse
+};
+const NOISY_TABLE_SIZE_BITS = 16; // Noisy searches get a fresh, smaller table: their scores must not leak into later searches
+
+// Named opponent strengths, weakest first. Each level is a set of searchBestMove() options plus display text.
+// Weaker levels misjudge positions (noise) and now and then play a plausible second-best move rather than a random one.
+const DIFFICULTY_LEVELS = {
+    beginner: { label: 'Beginner', description: 'Looks one move ahead, misjudges positions and often plays a weaker move.',
+        maxDepth: 1, timeLimitMs: 300, evaluationNoise: 120, suboptimalMoveChance: 0.4, suboptimalMargin: 350 },
+    casual: { label: 'Casual', description: 'Sees simple tactics but still makes the odd mistake.',
+        maxDepth: 2, timeLimitMs: 600, evaluationNoise: 60, suboptimalMoveChance: 0.2, suboptimalMargin: 150 },
+    intermediate: { label: 'Intermediate', description: 'A solid club player that rarely lets a piece go.',
+        maxDepth: 3, timeLimitMs: 1500, evaluationNoise: 25, suboptimalMoveChance: 0.08, suboptimalMargin: 60 },
+    advanced: { label: 'Advanced', description: 'Searches deeper and always plays its best move.',
+        maxDepth: 4, timeLimitMs: 2500, evaluationNoise: 0, suboptimalMoveChance: 0, suboptimalMargin: 0 },
+    expert: { label: 'Expert', description: 'Full strength: looks up to five moves ahead, thinking for at most five seconds.',
+        maxDepth: 5, timeLimitMs: 5000, evaluationNoise: 0, suboptimalMoveChance: 0, suboptimalMargin: 0 },
+};
+const DEFAULT_DIFFICULTY = 'intermediate';
+
+// --- Transposition Table ---
+
+/**
+ * Fixed-size hash table of searched positions, indexed by the low bits of the Zobrist key.
+ * Each slot holds one entry; a new entry replaces the old one unless the old one was searched deeper
+ * for the same position.
+ */
+class TranspositionTable {
+    /** @param {number} [sizeBits=DEFAULT_TABLE_SIZE_BITS] - The table holds 2^sizeBits entries. */
+    constructor(sizeBits = DEFAULT_TABLE_SIZE_BITS) {
+        this.mask = (1 << sizeBits) - 1;
+        this.entries = new Array(this.mask + 1).fill(null);
+    }
+
+    /** Returns the entry stored for a position, or null. */
+    probe(keyHigh, keyLow) {
+        const entry = this.entries[keyLow & this.mask];
+        return entry && entry.keyHigh === keyHigh && entry.keyLow === keyLow ? entry : null;
+    }
+
+    /**
+     * Stores a search result for a position.
+     * @param {number} depth - Remaining depth the score was searched to.
+     * @param {number} score - Score from the side to move's point of view.
+     * @param {number} bound - One of BOUND.
+     * @param {?object} bestMove - The best (or refuting) move found, used first when the position is searched again.
+     */
+    store(keyHigh, keyLow, depth, score, bound, bestMove) {
+        const index = keyLow & this.mask;
+        const existing = this.entries[index];
+        if (existing && existing.keyHigh === keyHigh && existing.keyLow === keyLow && existing.depth > depth) return;
+        this.entries[index] = { keyHigh, keyLow, depth, score, bound, bestMove };
+    }
+
+    clear() { this.entries.fill(null); }
+}
+
+const sharedTranspositionTable = new TranspositionTable();
+
+// Mate scores count plies from the root; the table stores them relative to the node so they stay valid at any ply
+const scoreToTable = (score, ply) => score >= MATE_THRESHOLD ? score + ply : (score <= -MATE_THRESHOLD ? score - ply : score);
+const scoreFromTable = (score, ply) => score >= MATE_THRESHOLD ? score - ply : (score <= -MATE_THRESHOLD ? score + ply : score);
+
+// --- Move Ordering ---
+
+/**
+ * Sorts moves so that alpha-beta cuts off early: the previous iteration's best move first, then captures by
+ * MVV-LVA (most valuable victim, least valuable attacker), then promotions, then quiet moves.
+ */
+function orderMoves(moves, board, hashMove) {
+    const scoreMove = (move) => {
+        if (hashMove && isSameMove(move, hashMove)) return 1000000;
+        let score = 0;
+        if (move.isCapture || move.isEnPassant) {
+            const victim = move.isEnPassant ? PIECE_TYPES.PAWN : board[move.endRow][move.endCol].type;
+            const attacker = board[move.startRow][move.startCol].type;
+            score += 100000 + PIECE_VALUES[victim] * 10 - PIECE_VALUES[attacker] / 100;
+        }
+        if (move.promotion) score += 50000 + PIECE_VALUES[move.promotion];
+        return score;
+    };
+    return moves.map(move => ({ move, score: scoreMove(move) }))
+        .sort((a, b) => b.score - a.score)
+        .map(entry => entry.move);
+}
+
+/** Material a move wins outright: the captured piece plus any promotion gain. */
+function materialGain(move, board) {
+    let gain = 0;
+    if (move.isEnPassant) gain += PIECE_VALUES[PIECE_TYPES.PAWN];
+    else if (move.isCapture) gain += PIECE_VALUES[board[move.endRow][move.endCol].type];
+    if (move.promotion) gain += PIECE_VALUES[move.promotion] - PIECE_VALUES[PIECE_TYPES.PAWN];
+    return gain;
+}
+
+const isTacticalMove = (move) => !!(move.isCapture || move.isEnPassant || move.promotion);
+
+function isSameMove(a, b) {
+    return a.startRow === b.startRow && a.startCol === b.startCol && a.endRow === b.endRow && a.endCol === b.endCol &&
+        (a.promotion || null) === (b.promotion || null);
+}
+
+// --- Search ---
+
+/** Static score of the position from the point of view of the side to move, including any evaluation noise. */
+function evaluateForSideToMove(game, context) {
+    const whiteScore = game.evaluatePosition().score;
+    return (game.getCurrentPlayer() === COLORS.WHITE ? whiteScore : -whiteScore) + positionNoise(game, context);
+}
+
+/**
+ * Pseudo-random offset in [-context.evaluationNoise, context.evaluationNoise], derived from the position key and a
+ * per-search seed, so a position keeps the same misjudgement throughout one search.
+ */
+function positionNoise(game, context) {
+    if (!context.evaluationNoise) return 0;
+    let hash = Math.imul(game.zobristLow ^ context.noiseSeed, 0x9e3779b1);
+    hash ^= hash >>> 16;
+    return (hash >>> 0) % (2 * context.evaluationNoise + 1) - context.evaluationNoise;
+}
+
+/**
+ * Whether the search scores the position as a draw: the fifty-move rule, insufficient material, or a position that
+ * already occurred (the side that repeated it can keep repeating, so it counts as a draw at once).
+ */
+function isDrawnPosition(game) {
+    return game.getHalfMoveClock() >= 100 || game.hasRepeatedPosition() || game.hasInsufficientMaterial();
+}
+
+/** Counts a node and, once the first iteration is done, stops the search when the time budget runs out. */
+function countNode(context) {
+    context.nodes++;
+    if (context.canAbort && context.nodes % TIME_CHECK_INTERVAL === 0 && performance.now() >= context.deadline) context.aborted = true;
+}
+
+/**
+ * Negamax alpha-beta search (fail-soft). Scores are from the point of view of the side to move.
+ * Moves are played with the lean makeSearchMove(), so mates, stalemates and draws are detected here rather than
+ * read from the game status. The principal variation found below this node is left in context.pvTable[ply].
+ * Below the root, a transposition table entry searched at least as deep ends the search of a node early
+ * when its bound settles the window; otherwise its best move is searched first.
+ */
+function alphaBeta(game, depth, alpha, beta, ply, context) {
+    countNode(context);
+    context.pvTable[ply] = [];
+    if (ply > 0 && isDrawnPosition(game)) return 0;
+    if (depth === 0) {
+        context.quiescenceNodes = 0;
+        return quiescence(game, alpha, beta, ply, context);
+    }
+
+    const { zobristHigh, zobristLow } = game;
+    const entry = context.table.probe(zobristHigh, zobristLow);
+    if (entry && ply > 0 && entry.depth >= depth) {
+        const score = scoreFromTable(entry.score, ply);
+        if (entry.bound === BOUND.EXACT || (entry.bound === BOUND.LOWER && score >= beta) || (entry.bound === BOUND.UPPER && score <= alpha)) {
+            if (entry.bestMove) context.pvTable[ply] = [entry.bestMove];
+            return score;
+        }
+    }
+
+    const originalAlpha = alpha;
+    const hashMove = (entry && entry.bestMove) || context.previousPV[ply];
+    const legalMoves = game.getAllLegalMovesForCurrentPlayer();
+    if (legalMoves.length === 0) return game.isKingInCheck(game.getCurrentPlayer()) ? -(MATE_SCORE - ply) : 0;
+    const moves = orderMoves(legalMoves, game.getBoardState(), hashMove);
+    let bestScore = -Infinity;
+    let bestMove = null;
+    for (const move of moves) {
+        game.makeSearchMove(move);
+        const score = -alphaBeta(game, depth - 1, -beta, -alpha, ply + 1, context);
+        game.undoSearchMove();
+        if (context.aborted) return 0;
+        if (score > bestScore) { bestScore = score; bestMove = move; }
+        if (score > alpha) {
+            alpha = score;
+            context.pvTable[ply] = [move, ...context.pvTable[ply + 1]];
+            if (alpha >= beta) break; // Beta cutoff: the opponent will avoid this line
+        }
+    }
+    const bound = bestScore >= beta ? BOUND.LOWER : (bestScore > originalAlpha ? BOUND.EXACT : BOUND.UPPER);
+    context.table.store(zobristHigh, zobristLow, depth, scoreToTable(bestScore, ply), bound, bestMove);
+    return bestScore;
+}
+
+/**
+ * Quiescence search: past the horizon, keep playing captures and promotions (or every evasion when in check)
+ * until the position is quiet, so the search never stops in the middle of an exchange.
+ * Stand-pat: the side to move may decline all captures, so the static score is a lower bound unless in check.
+ */
+function quiescence(game, alpha, beta, ply, context) {
+    countNode(context);
+    context.pvTable[ply] = [];
+    if (isDrawnPosition(game)) return 0;
+    const inCheck = game.isKingInCheck(game.getCurrentPlayer());
+    const legalMoves = game.getAllLegalMovesForCurrentPlayer();
+    if (legalMoves.length === 0) return inCheck ? -(MATE_SCORE - ply) : 0;
+    const standPat = evaluateForSideToMove(game, context);
+    if (++context.quiescenceNodes > QUIESCENCE_NODE_LIMIT) return standPat; // Tactical explosion: stop looking
+    if (!inCheck) {
+        if (standPat >= beta) return standPat;
+        if (standPat > alpha) alpha = standPat;
+    }
+
+    const board = game.getBoardState();
+    // Gains are computed up front: the board array is modified in place by makeSearchMove()
+    const candidates = orderMoves(inCheck ? legalMoves : legalMoves.filter(isTacticalMove), board, null)
+        .map(move => ({ move, gain: materialGain(move, board) }));
+    for (const { move, gain } of candidates) {
+        if (!inCheck && standPat + gain + DELTA_MARGIN <= alpha) continue; // Delta pruning
+        game.makeSearchMove(move);
+        const score = -quiescence(game, -beta, -alpha, ply + 1, context);
+        game.undoSearchMove();
+        if (context.aborted) return 0;
+        if (score > alpha) {
+            alpha = score;
+            context.pvTable[ply] = [move, ...context.pvTable[ply + 1]];
+            if (alpha >= beta) break;
+        }
+    }
+    return alpha;
+}
+
+/**
+ * Finds the best move for the side to move with iterative-deepening alpha-beta search.
+ * The game passed in is never modified; the search runs on a quiet clone.
+ * @param {ChessGame} game - The position to search.
+ * @param {object} [options] - Overrides for DEFAULT_SEARCH_OPTIONS; a DIFFICULTY_LEVELS entry can be passed as is.
+ * @returns {?{move: object, score: number, depth: number, nodes: number, pv: string[], timeMs: number, isSuboptimal: boolean}}
+ *   The best move of the deepest completed iteration (a legal move object), its score in centipawns from the
+ *   mover's point of view, the principal variation in UCI notation, or null when there are no legal moves.
+ *   isSuboptimal is set when a weaker move was picked on purpose (see suboptimalMoveChance).
+ */
+function searchBestMove(game, options = {}) {
+    const {
+        maxDepth, timeLimitMs, onProgress, transpositionTable, evaluationNoise, suboptimalMoveChance, suboptimalMargin,
+    } = { ...DEFAULT_SEARCH_OPTIONS, ...options };
+    const searchGame = game.clone();
+    searchGame.setVerbose(false);
+    if (searchGame.getAllLegalMovesForCurrentPlayer().length === 0 || searchGame.isGameOver()) return null;
+
+    const startTime = performance.now();
+    const context = { nodes: 0, quiescenceNodes: 0, deadline: startTime + timeLimitMs, canAbort: false, aborted: false, pvTable: [], previousPV: [],
+        evaluationNoise, noiseSeed: Math.floor(Math.random() * 0x100000000),
+        table: transpositionTable || (evaluationNoise ? new TranspositionTable(NOISY_TABLE_SIZE_BITS) : sharedTranspositionTable) };
+    let best = null;
+    for (let depth = 1; depth <= maxDepth; depth++) {
+        context.canAbort = depth > 1; // Always finish depth 1 so there is a move to play
+        const score = alphaBeta(searchGame, depth, -Infinity, Infinity, 0, context);
+        if (context.aborted) break;
+        const pv = context.pvTable[0];
+        context.previousPV = pv; // Searched first in the next iteration
+        best = { move: pv[0], score, depth, nodes: context.nodes, pv: pv.map(moveToUCI), timeMs: Math.round(performance.now() - startTime) };
+        if (onProgress) onProgress(best);
+        if (Math.abs(score) >= MATE_THRESHOLD || performance.now() >= context.deadline) break;
+    }
+    best.isSuboptimal = false;
+    if (suboptimalMoveChance > 0 && Math.random() < suboptimalMoveChance) {
+        const alternative = pickSuboptimalMove(searchGame, best.move, suboptimalMargin, context);
+        if (alternative) Object.assign(best, { move: alternative.move, score: alternative.score, pv: [moveToUCI(alternative.move)], isSuboptimal: true });
+    }
+    best.nodes = context.nodes;
+    best.timeMs = Math.round(performance.now() - startTime);
+    return best;
+}
+
+/**
+ * Picks a random move other than the best one among those a shallow search rates within margin centipawns of the
+ * shallow-best move, imitating a human overlooking something rather than playing at random.
+ * Stays within the search's time budget: moves not scored by the deadline are left out, the best move being scored first.
+ * @returns {?{move: object, score: number}} null when no other move is close enough.
+ */
+function pickSuboptimalMove(game, bestMove, margin, context) {
+    context.canAbort = true;
+    const scored = [];
+    for (const move of orderMoves(game.getAllLegalMovesForCurrentPlayer(), game.getBoardState(), bestMove)) {
+        game.makeSearchMove(move);
+        const score = -alphaBeta(game, 1, -Infinity, Infinity, 1, context);
+        game.undoSearchMove();
+        if (context.aborted) break;
+        scored.push({ move, score });
+    }
+    if (scored.length === 0) return null;
+    const topScore = Math.max(...scored.map(entry => entry.score));
+    const candidates = scored.filter(entry => !isSameMove(entry.move, bestMove) && entry.score >= topScore - margin);
+    return candidates.length > 0 ? candidates[Math.floor(Math.random() * candidates.length)] : null;
+}
+
+// --- Export Public Functions and Constants ---
+export {
+    searchBestMove,
+    TranspositionTable,
+    DIFFICULTY_LEVELS,
+    DEFAULT_DIFFICULTY,
+    PIECE_VALUES,
+    MATE_SCORE,
+    MATE_THRESHOLD,
+};
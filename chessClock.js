@@ -0,0 +1,260 @@
+// --- Chess Clock ---
+// Two-sided game clock with sudden death, Fischer increment, simple (US) delay, Bronstein delay and
+// multi-stage time controls. The clock knows nothing about the board: the caller presses it after every
+// move (see press()) and decides what a fallen flag means (see chessLogic's flagFall()).
+import { COLORS } from './chessLogic.js';
+
+const TICK_INTERVAL_MS = 100; // How often a running clock checks for a fallen flag and reports the time
+const MIN_THINKING_TIME_MS = 50; // The CPU always gets at least this long
+const THINKING_SAFETY_MARGIN_MS = 300; // Kept in reserve for move animation and message passing
+const DEFAULT_MOVES_TO_GO = 30; // Assumed number of moves left in a sudden-death stage
+
+const BONUS_TYPES = {
+    NONE: 'none',
+    INCREMENT: 'increment', // Fischer: the bonus is added after every move
+    DELAY: 'delay', // Simple delay: the clock only starts after the bonus has passed
+    BRONSTEIN: 'bronstein', // The time used is given back after the move, up to the bonus
+};
+
+// Time controls offered in the settings panel, in the notation read by parseTimeControl()
+const TIME_CONTROL_PRESETS = [
+    { id: 'none', label: 'No clock', notation: null },
+    { id: 'bullet', label: 'Bullet 1+0', notation: '1' },
+    { id: 'blitz3', label: 'Blitz 3+2', notation: '3+2' },
+    { id: 'blitz5', label: 'Blitz 5+0', notation: '5' },
+    { id: 'delay5', label: 'Blitz 5, 3 s delay', notation: '5d3' },
+    { id: 'rapid10', label: 'Rapid 10+5', notation: '10+5' },
+    { id: 'bronstein15', label: 'Rapid 15, 10 s Bronstein', notation: '15b10' },
+    { id: 'classical', label: 'Classical 40/90+30, 30+30', notation: '40/90+30, 30+30' },
+];
+
+const STAGE_PATTERN = /^(?:(\d+)\/)?(\d+(?:\.\d+)?)(?:([+db])(\d+(?:\.\d+)?))?$/;
+const BONUS_SYMBOLS = { '+': BONUS_TYPES.INCREMENT, d: BONUS_TYPES.DELAY, b: BONUS_TYPES.BRONSTEIN };
+
+/**
+ * Reads a time control such as "5" (5 minutes sudden death), "3+2" (2 s Fischer increment), "5d3" (3 s simple delay),
+ * "15b10" (10 s Bronstein delay) or "40/90+30, 30+30" (90 minutes for 40 moves, then 30 minutes for the rest,
+ * 30 s increment throughout). Stages are separated by commas; only the last may omit its move count.
+ * @param {string} notation
+ * @returns {{stages: Array<{moves: ?number, timeMs: number, bonusType: string, bonusMs: number}>}}
+ * @throws {Error} If the notation is malformed.
+ */
+function parseTimeControl(notation) {
+    const parts = String(notation).split(',').map(part => part.trim());
+    const stages = parts.map((part, index) => {
+        const match = STAGE_PATTERN.exec(part.replace(/\s+/g, ''));
+        if (!match) throw new Error(`Invalid time control stage "${part}"`);
+        const [, moves, minutes, bonusSymbol, bonusSeconds] = match;
+        if (!moves && index < parts.length - 1) throw new Error(`Time control stage "${part}" needs a move count`);
+        return {
+            moves: moves ? Number(moves) : null,
+            timeMs: Number(minutes) * 60000,
+            bonusType: bonusSymbol ? BONUS_SYMBOLS[bonusSymbol] : BONUS_TYPES.NONE,
+            bonusMs: bonusSeconds ? Number(bonusSeconds) * 1000 : 0,
+        };
+    });
+    if (stages.some(stage => stage.timeMs <= 0 && stage.bonusMs <= 0)) throw new Error(`Time control "${notation}" gives no time`);
+    return { stages };
+}
+
+/** Formats a remaining time as "h:mm:ss", "m:ss", or "s.t" with tenths in the last ten seconds. */
+function formatClockTime(ms) {
+    const clamped = Math.max(0, ms);
+    if (clamped < 10000) return (Math.floor(clamped / 100) / 10).toFixed(1);
+    const totalSeconds = Math.ceil(clamped / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+/**
+ * A clock for one game. Times are in milliseconds; sides are identified by the color strings of chessLogic's COLORS.
+ */
+class ChessClock {
+    /**
+     * @param {object} timeControl - From parseTimeControl().
+     * @param {object} [options]
+     * @param {function(string, number): void} [options.onTick] - Called with (color, remainingMs) while a clock runs.
+     * @param {function(string): void} [options.onFlag] - Called once with the color whose time ran out.
+     * @param {function(): number} [options.now] - Time source, replaceable for tests.
+     */
+    constructor(timeControl, { onTick = null, onFlag = null, now = () => performance.now() } = {}) {
+        this.stages = timeControl.stages;
+        this.onTick = onTick;
+        this.onFlag = onFlag;
+        this.now = now;
+        this.sides = {};
+        [COLORS.WHITE, COLORS.BLACK].forEach(color => {
+            this.sides[color] = { remainingMs: this.stages[0].timeMs, stageIndex: 0, movesInStage: 0 };
+        });
+        this.runningColor = null; // The side whose clock is running (or paused)
+        this.turnStartedAt = 0; // When the running side's current stretch of thinking began
+        this.usedBeforePause = 0; // Time the running side already used this turn before a pause
+        this.isPaused = false;
+        this.flaggedColor = null;
+        this.timer = null;
+    }
+
+    /** Starts (or restarts) the clock of the side to move. */
+    start(color) {
+        if (this.flaggedColor) return;
+        this.runningColor = color;
+        this.turnStartedAt = this.now();
+        this.usedBeforePause = 0;
+        this.isPaused = false;
+        this.startTimer();
+    }
+
+    /**
+     * Ends a side's turn: charges the time used, adds the stage's bonus, advances the stage after its last move,
+     * and starts the opponent's clock.
+     * @param {string} color - The side that just moved.
+     */
+    press(color) {
+        if (this.flaggedColor) return;
+        if (this.runningColor !== color) { this.start(opponentOf(color)); return; } // E.g. the very first move before start()
+        const side = this.sides[color];
+        const stage = this.stages[side.stageIndex];
+        const usedMs = this.getUsedThisTurn();
+        side.remainingMs -= this.chargeableTime(usedMs, stage);
+        if (stage.bonusType === BONUS_TYPES.INCREMENT) side.remainingMs += stage.bonusMs;
+        else if (stage.bonusType === BONUS_TYPES.BRONSTEIN) side.remainingMs += Math.min(usedMs, stage.bonusMs);
+        side.movesInStage++;
+        if (stage.moves && side.movesInStage >= stage.moves && side.stageIndex < this.stages.length - 1) {
+            side.stageIndex++;
+            side.movesInStage = 0;
+            side.remainingMs += this.stages[side.stageIndex].timeMs;
+        }
+        this.start(opponentOf(color));
+    }
+
+    /**
+     * Hands the running clock to a side without a bonus, e.g. after a move was taken back.
+     * The time the previous side used this turn is still charged.
+     */
+    switchTo(color) {
+        if (this.flaggedColor || this.runningColor === color) return;
+        if (this.runningColor) {
+            const side = this.sides[this.runningColor];
+            side.remainingMs -= this.chargeableTime(this.getUsedThisTurn(), this.stages[side.stageIndex]);
+        }
+        this.start(color);
+    }
+
+    /** Freezes the running clock, e.g. while a dialog is open. */
+    pause() {
+        if (!this.runningColor || this.isPaused) return;
+        this.usedBeforePause = this.getUsedThisTurn();
+        this.isPaused = true;
+        this.stopTimer();
+    }
+
+    /** Continues after pause(). */
+    resume() {
+        if (!this.isPaused || this.flaggedColor) return;
+        this.isPaused = false;
+        this.turnStartedAt = this.now();
+        this.startTimer();
+    }
+
+    /** Stops both clocks for good, e.g. when the game ends, charging the time used this turn. */
+    stop() {
+        if (this.runningColor) {
+            const side = this.sides[this.runningColor];
+            side.remainingMs -= this.chargeableTime(this.getUsedThisTurn(), this.stages[side.stageIndex]);
+            this.runningColor = null;
+        }
+        this.isPaused = false;
+        this.stopTimer();
+    }
+
+    /** Time a side has left right now, counting a delay that has not been used up yet as not spent. */
+    getRemainingMs(color) {
+        const side = this.sides[color];
+        if (color !== this.runningColor) return side.remainingMs;
+        return side.remainingMs - this.chargeableTime(this.getUsedThisTurn(), this.stages[side.stageIndex]);
+    }
+
+    /**
+     * A thinking-time budget for the side to move: an even share of the time left for the moves still to play
+     * in the stage, plus most of the increment, never more than the remaining time minus a safety margin.
+     */
+    suggestThinkingTimeMs(color) {
+        const side = this.sides[color];
+        const stage = this.stages[side.stageIndex];
+        const remainingMs = this.getRemainingMs(color);
+        const movesToGo = stage.moves ? Math.max(1, stage.moves - side.movesInStage) : DEFAULT_MOVES_TO_GO;
+        const bonusMs = stage.bonusType === BONUS_TYPES.NONE ? 0 : stage.bonusMs * 0.8;
+        const budget = remainingMs / movesToGo + bonusMs;
+        return Math.max(MIN_THINKING_TIME_MS, Math.min(budget, remainingMs - THINKING_SAFETY_MARGIN_MS));
+    }
+
+    /**
+     * Plain-object copy of the clock for saving, with the running side's time charged up to now.
+     * The time control itself is included, so fromState() needs nothing else.
+     */
+    getState() {
+        const sides = {};
+        Object.keys(this.sides).forEach(color => { sides[color] = { ...this.sides[color], remainingMs: this.getRemainingMs(color) }; });
+        return { stages: this.stages, sides, runningColor: this.runningColor, flaggedColor: this.flaggedColor };
+    }
+
+    /**
+     * Rebuilds a clock saved with getState(). It comes back stopped; start() the side to move to continue.
+     * @param {object} state - From getState().
+     * @param {object} [options] - As for the constructor.
+     * @returns {ChessClock}
+     */
+    static fromState(state, options) {
+        const clock = new ChessClock({ stages: state.stages }, options);
+        Object.keys(clock.sides).forEach(color => { clock.sides[color] = { ...state.sides[color] }; });
+        clock.flaggedColor = state.flaggedColor || null;
+        return clock;
+    }
+
+    /** Checks for a fallen flag and reports the running side's time; called by the internal timer. */
+    tick() {
+        if (!this.runningColor || this.isPaused || this.flaggedColor) return;
+        const remainingMs = this.getRemainingMs(this.runningColor);
+        if (this.onTick) this.onTick(this.runningColor, remainingMs);
+        if (remainingMs <= 0) {
+            this.flaggedColor = this.runningColor;
+            this.stop();
+            this.sides[this.flaggedColor].remainingMs = 0;
+            if (this.onFlag) this.onFlag(this.flaggedColor);
+        }
+    }
+
+    // --- Internal helpers ---
+
+    getUsedThisTurn() {
+        return this.usedBeforePause + (this.isPaused ? 0 : this.now() - this.turnStartedAt);
+    }
+
+    /** Part of the time used this turn that comes off the clock: with a simple delay, the delay itself is free. */
+    chargeableTime(usedMs, stage) {
+        return stage.bonusType === BONUS_TYPES.DELAY ? Math.max(0, usedMs - stage.bonusMs) : usedMs;
+    }
+
+    startTimer() {
+        if (!this.timer) this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    }
+
+    stopTimer() {
+        if (this.timer) { clearInterval(this.timer); this.timer = null; }
+    }
+}
+
+function opponentOf(color) {
+    return color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+}
+
+// --- Export Public Functions and Constants ---
+export {
+    ChessClock,
+    parseTimeControl,
+    formatClockTime,
+    BONUS_TYPES,
+    TIME_CONTROL_PRESETS,
+};
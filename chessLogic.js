@@ -1,3 +1,6 @@
+import * as Notation from './notation.js';
+import * as Evaluation from './evaluation.js';
+
 // --- Constants ---
 const PIECE_TYPES = {
     PAWN: 'pawn',
@@ -13,29 +16,25 @@ const COLORS = {
     BLACK: 'black',
 };
 
-// --- Game State Variables ---
-let boardState = null; // 8x8 array storing piece objects {type, color, hasMoved} or null
-let currentPlayer = COLORS.WHITE; // Player whose turn it is
-let moveHistory = []; // Array to store moves in algebraic notation (e.g., "e4", "Nf3")
-let capturedPieces = { // Object to store arrays of captured pieces for each color
-    [COLORS.WHITE]: [], // Pieces captured by Black
-    [COLORS.BLACK]: [], // Pieces captured by White
-};
-let gameStatus = { // Object to track the overall game status
-    isCheck: false,
-    isCheckmate: false,
-    isStalemate: false,
-    winner: null, // null, 'white', 'black', or 'draw'
-};
-// State for special chess rules
-let castlingRights = { // Tracks if castling is still possible
-    [COLORS.WHITE]: { kingSide: true, queenSide: true },
-    [COLORS.BLACK]: { kingSide: true, queenSide: true },
+const DRAW_REASONS = {
+    STALEMATE: 'stalemate',
+    INSUFFICIENT_MATERIAL: 'insufficientMaterial',
+    THREEFOLD_REPETITION: 'threefoldRepetition', // Claimable
+    FIVEFOLD_REPETITION: 'fivefoldRepetition', // Automatic
+    FIFTY_MOVE_RULE: 'fiftyMoveRule', // Claimable
+    SEVENTY_FIVE_MOVE_RULE: 'seventyFiveMoveRule', // Automatic
+    TIMEOUT_VS_INSUFFICIENT_MATERIAL: 'timeoutVsInsufficientMaterial', // A flag fell but the opponent could not have mated
 };
-let enPassantTargetSquare = null; // Stores {row, col} of the square vulnerable to en passant, or null
 
-// --- NEW: Game State History for Undo ---
-let gameStateHistory = []; // Stack to store previous game states
+// Events a ChessGame emits to handlers registered with on()
+const GAME_EVENTS = {
+    MOVE: 'move', // Every move: the makeMove() result plus SAN, mover color and resulting status
+    CAPTURE: 'capture', // Moves that capture, after 'move'
+    CHECK: 'check', // Moves that give check (including checkmate)
+    GAME_OVER: 'gameOver', // Checkmate or a draw ended the game
+    UNDO: 'undo', // A move was taken back
+    RESET: 'reset', // The whole game was replaced: new game, FEN load or restored snapshot
+};
 
 // --- Initial Board Setup (Standard Chess Layout) ---
 const initialBoardSetup = [
@@ -51,533 +50,1106 @@ const initialBoardSetup = [
     [{ type: PIECE_TYPES.ROOK, color: COLORS.WHITE }, { type: PIECE_TYPES.KNIGHT, color: COLORS.WHITE }, { type: PIECE_TYPES.BISHOP, color: COLORS.WHITE }, { type: PIECE_TYPES.QUEEN, color: COLORS.WHITE }, { type: PIECE_TYPES.KING, color: COLORS.WHITE }, { type: PIECE_TYPES.BISHOP, color: COLORS.WHITE }, { type: PIECE_TYPES.KNIGHT, color: COLORS.WHITE }, { type: PIECE_TYPES.ROOK, color: COLORS.WHITE }],
 ];
 
-/**
- * Initializes or resets the game state to the standard starting position.
- */
-function initializeGame() {
-    // Create a deep copy of the initial setup, adding 'hasMoved: false' to each piece
-    boardState = initialBoardSetup.map(row =>
-        row.map(piece => piece ? { ...piece, hasMoved: false } : null)
-    );
-    // Reset all state variables
-    currentPlayer = COLORS.WHITE;
-    moveHistory = [];
-    capturedPieces = { [COLORS.WHITE]: [], [COLORS.BLACK]: [] };
-    gameStatus = { isCheck: false, isCheckmate: false, isStalemate: false, winner: null };
-    castlingRights = {
-        [COLORS.WHITE]: { kingSide: true, queenSide: true },
-        [COLORS.BLACK]: { kingSide: true, queenSide: true },
-    };
-    enPassantTargetSquare = null;
-    // --- MODIFIED: Clear game state history ---
-    gameStateHistory = [];
-    console.log("Chess logic initialized for a new game.");
+// --- FEN Constants ---
+const STARTING_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const FEN_PIECE_LETTERS = { [PIECE_TYPES.PAWN]: 'p', [PIECE_TYPES.ROOK]: 'r', [PIECE_TYPES.KNIGHT]: 'n', [PIECE_TYPES.BISHOP]: 'b', [PIECE_TYPES.QUEEN]: 'q', [PIECE_TYPES.KING]: 'k' };
+const FEN_LETTER_TO_TYPE = Object.fromEntries(Object.entries(FEN_PIECE_LETTERS).map(([type, letter]) => [letter, type]));
+
+// --- Helpers ---
+
+function isWithinBoard(row, col) {
+    return row >= 0 && row < 8 && col >= 0 && col < 8;
 }
 
-// --- Getter Functions for Game State ---
+const KNIGHT_OFFSETS = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+const KING_OFFSETS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+const DIAGONAL_DIRECTIONS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+const ORTHOGONAL_DIRECTIONS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+const SLIDING_ATTACKS = [[DIAGONAL_DIRECTIONS, PIECE_TYPES.BISHOP], [ORTHOGONAL_DIRECTIONS, PIECE_TYPES.ROOK]]; // Queens attack along both
 
-function getPieceAt(row, col) {
-    if (!isWithinBoard(row, col)) return null;
-    if (!boardState) { console.error("getPieceAt called before boardState initialized!"); return null; }
-    return boardState[row][col];
+/** Whether the square holds a piece of the given color and type; false for squares off the board. */
+function isPieceOfType(board, row, col, color, type) {
+    const piece = isWithinBoard(row, col) ? board[row][col] : null;
+    return !!piece && piece.color === color && piece.type === type;
 }
-function getCurrentPlayer() { return currentPlayer; }
-function getBoardState() { return boardState; }
-function getCapturedPieces() { return capturedPieces; }
-function getMoveHistory() { return moveHistory; }
-function getGameStatus() { return gameStatus; }
 
-// --- Move Generation & Validation ---
+function createInitialGameStatus() {
+    return { isCheck: false, isCheckmate: false, isStalemate: false, isDraw: false, drawReason: null, claimableDraw: null, winner: null, timeForfeit: null };
+}
 
-function isWithinBoard(row, col) {
-    return row >= 0 && row < 8 && col >= 0 && col < 8;
+// --- Zobrist Hashing ---
+// Each (piece, square), the side to move, each castling right and each en passant file gets a fixed random
+// 64-bit number, held as two 32-bit halves; a position's key is the XOR of the numbers of everything in it.
+// The numbers come from a seeded generator, so keys are identical across sessions (e.g. for an opening book).
+const ZOBRIST_PIECE_TYPES = [PIECE_TYPES.PAWN, PIECE_TYPES.KNIGHT, PIECE_TYPES.BISHOP, PIECE_TYPES.ROOK, PIECE_TYPES.QUEEN, PIECE_TYPES.KING];
+const ZOBRIST_SIDE_INDEX = 768; // After 2 colors * 6 piece types * 64 squares
+const ZOBRIST_CASTLING_INDEX = 769; // White king side, white queen side, black king side, black queen side
+const ZOBRIST_EN_PASSANT_INDEX = 773; // One per file
+const ZOBRIST_HIGH = new Uint32Array(781);
+const ZOBRIST_LOW = new Uint32Array(781);
+(function fillZobristTables() {
+    let seed = 0x9e3779b9; // mulberry32
+    const nextRandom = () => {
+        seed = (seed + 0x6d2b79f5) >>> 0;
+        let t = Math.imul(seed ^ (seed >>> 15), seed | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (t ^ (t >>> 14)) >>> 0;
+    };
+    for (let i = 0; i < ZOBRIST_HIGH.length; i++) { ZOBRIST_HIGH[i] = nextRandom(); ZOBRIST_LOW[i] = nextRandom(); }
+})();
+
+function zobristPieceIndex(piece, row, col) {
+    return ((piece.color === COLORS.WHITE ? 0 : 6) + ZOBRIST_PIECE_TYPES.indexOf(piece.type)) * 64 + row * 8 + col;
 }
 
-function generatePseudoLegalMoves(startRow, startCol) {
-    const piece = getPieceAt(startRow, startCol);
-    if (!piece) return [];
+// Game state fields copied by createSnapshot()/restoreSnapshot() (everything except settings like autoClaimDraws)
+const SNAPSHOT_FIELDS = [
+    'boardState', 'currentPlayer', 'moveHistory', 'capturedPieces', 'gameStatus', 'castlingRights', 'enPassantTargetSquare',
+    'halfMoveClock', 'fullMoveNumber', 'startingFEN', 'gameStateHistory', 'positionHistory', 'redoStack',
+    'zobristHigh', 'zobristLow',
+];
 
-    const moves = [];
-    const color = piece.color;
-    const opponentColor = color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+/**
+ * One independent game of chess: board, turn, history and rules.
+ * Any number of instances can coexist, e.g. the game on screen, an AI search copy and an analysis board.
+ */
+class ChessGame {
+    /**
+     * Creates a game at the standard starting position, or at the given FEN.
+     * @param {string} [fen] - Optional starting position (see loadFromFEN()).
+     * @param {object} [options]
+     * @param {boolean} [options.verbose=true] - Console logging, see setVerbose(); off for quiet copies from the start.
+     */
+    constructor(fen = null, { verbose = true } = {}) {
+        this.listeners = {}; // Event name -> array of handlers, see on(). Never copied by clone() or snapshots.
 
-    const addMove = (endRow, endCol, options = {}) => {
-        if (!isWithinBoard(endRow, endCol)) return;
-        const targetPiece = getPieceAt(endRow, endCol);
-        if (targetPiece && targetPiece.color === color) return;
-        moves.push({ row: endRow, col: endCol, isCapture: !!targetPiece, ...options });
-    };
+        // --- Game State ---
+        this.boardState = null; // 8x8 array storing piece objects {type, color, hasMoved} or null
+        this.currentPlayer = COLORS.WHITE; // Player whose turn it is
+        this.moveHistory = []; // Array to store moves in algebraic notation (e.g., "e4", "Nf3")
+        this.capturedPieces = { // Object to store arrays of captured pieces for each color
+            [COLORS.WHITE]: [], // Pieces captured by Black
+            [COLORS.BLACK]: [], // Pieces captured by White
+        };
+        this.gameStatus = createInitialGameStatus(); // Object to track the overall game status
+        // State for special chess rules
+        this.castlingRights = { // Tracks if castling is still possible
+            [COLORS.WHITE]: { kingSide: true, queenSide: true },
+            [COLORS.BLACK]: { kingSide: true, queenSide: true },
+        };
+        this.enPassantTargetSquare = null; // Stores {row, col} of the square vulnerable to en passant, or null
+        this.halfMoveClock = 0; // Half-moves since the last capture or pawn move (FEN field 5)
+        this.fullMoveNumber = 1; // Starts at 1 and increments after each Black move (FEN field 6)
+        this.startingFEN = null; // FEN of the position the game started from (set by initializeGame/loadFromFEN)
+        this.positionHistory = []; // Repetition keys of every position since the start, current position last
+        this.zobristHigh = 0; // Upper and lower 32 bits of the position's Zobrist key, updated incrementally by makeMove()
+        this.zobristLow = 0;
+        this.autoClaimDraws = false; // End the game as soon as a threefold repetition or the fifty-move rule can be claimed, instead of waiting for claimDraw()
+        this.gameStateHistory = []; // Stack of previous game states for undo
+        this.redoStack = []; // Moves taken back with undoMove(), most recent last; cleared by any new move
+        this.isRedoing = false; // True while redoMove() replays a move, so makeMove() keeps the redo stack
+        this.searchHistory = []; // Undo records of makeSearchMove() moves not yet taken back, most recent last
+        this.verbose = verbose; // Log moves and results to the console; AI search copies turn this off
 
-    const addSlidingMoves = (directions) => {
-        for (const [dr, dc] of directions) {
-            for (let i = 1; ; i++) {
-                const endRow = startRow + i * dr;
-                const endCol = startCol + i * dc;
-                if (!isWithinBoard(endRow, endCol)) break;
-                const targetPiece = getPieceAt(endRow, endCol);
-                if (targetPiece) {
-                    if (targetPiece.color === opponentColor) addMove(endRow, endCol);
-                    break;
-                }
-                addMove(endRow, endCol);
+        if (fen) this.loadFromFEN(fen);
+        else this.initializeGame();
+    }
+
+    /**
+     * Creates an independent copy of this game, including its undo history and settings.
+     * Moves made on the copy never affect the original (used by the AI search).
+     * @returns {ChessGame}
+     */
+    clone() {
+        const copy = new ChessGame(null, { verbose: this.verbose });
+        copy.restoreSnapshot(this.createSnapshot());
+        copy.autoClaimDraws = this.autoClaimDraws;
+        return copy;
+    }
+
+    // --- Events ---
+
+    /**
+     * Subscribes to a game event (see GAME_EVENTS).
+     * @param {string} eventName - 'move', 'capture', 'check', 'gameOver', 'undo' or 'reset'.
+     * @param {function(object): void} handler - Called synchronously with the event payload.
+     * @returns {function(): void} A function that unsubscribes the handler.
+     */
+    on(eventName, handler) {
+        if (!Object.values(GAME_EVENTS).includes(eventName)) throw new Error(`Unknown game event: ${eventName}`);
+        if (!this.listeners[eventName]) this.listeners[eventName] = [];
+        this.listeners[eventName].push(handler);
+        return () => this.off(eventName, handler);
+    }
+
+    /** Removes a handler added with on(). */
+    off(eventName, handler) {
+        const handlers = this.listeners[eventName];
+        if (handlers) this.listeners[eventName] = handlers.filter(h => h !== handler);
+    }
+
+    /** Calls every handler of an event. A failing handler is logged and does not stop the others. */
+    emit(eventName, payload) {
+        for (const handler of [...(this.listeners[eventName] || [])]) {
+            try { handler(payload); }
+            catch (error) { console.error(`Error in '${eventName}' event handler:`, error); }
+        }
+    }
+
+    /** Payload of the 'reset' event. */
+    createResetEvent() {
+        return { fen: this.toFEN(), currentPlayer: this.currentPlayer, status: { ...this.gameStatus } };
+    }
+
+    /**
+     * Initializes or resets the game state to the standard starting position.
+     */
+    initializeGame() {
+        // Create a deep copy of the initial setup, adding 'hasMoved: false' to each piece
+        this.boardState = initialBoardSetup.map(row =>
+            row.map(piece => piece ? { ...piece, hasMoved: false } : null)
+        );
+        // Reset all state variables
+        this.currentPlayer = COLORS.WHITE;
+        this.moveHistory = [];
+        this.capturedPieces = { [COLORS.WHITE]: [], [COLORS.BLACK]: [] };
+        this.gameStatus = createInitialGameStatus();
+        this.castlingRights = {
+            [COLORS.WHITE]: { kingSide: true, queenSide: true },
+            [COLORS.BLACK]: { kingSide: true, queenSide: true },
+        };
+        this.enPassantTargetSquare = null;
+        this.halfMoveClock = 0;
+        this.fullMoveNumber = 1;
+        this.startingFEN = STARTING_FEN;
+        this.positionHistory = [this.getPositionKey()];
+        this.computeZobristKey();
+        // --- MODIFIED: Clear game state history ---
+        this.gameStateHistory = [];
+        this.redoStack = [];
+        if (this.verbose) console.log("Chess logic initialized for a new game.");
+        this.emit(GAME_EVENTS.RESET, this.createResetEvent());
+    }
+
+    // --- Getter Functions for Game State ---
+
+    getPieceAt(row, col) {
+        if (!isWithinBoard(row, col)) return null;
+        if (!this.boardState) { console.error("getPieceAt called before this.boardState initialized!"); return null; }
+        return this.boardState[row][col];
+    }
+    getCurrentPlayer() { return this.currentPlayer; }
+    getBoardState() { return this.boardState; }
+    getCapturedPieces() { return this.capturedPieces; }
+    getMoveHistory() { return this.moveHistory; }
+    getGameStatus() { return this.gameStatus; }
+    getHalfMoveClock() { return this.halfMoveClock; }
+    getFullMoveNumber() { return this.fullMoveNumber; }
+    getStartingFEN() { return this.startingFEN; }
+    isGameOver() { return this.gameStatus.isCheckmate || this.gameStatus.isDraw || !!this.gameStatus.timeForfeit; }
+    getAutoClaimDraws() { return this.autoClaimDraws; }
+    /** The position's 64-bit Zobrist key as 16 hex digits. Equal positions (same pieces, side, castling and en passant) share a key. */
+    getZobristKey() { return this.zobristHigh.toString(16).padStart(8, '0') + this.zobristLow.toString(16).padStart(8, '0'); }
+    canUndo() { return this.gameStateHistory.length > 0; }
+    setVerbose(enabled) { this.verbose = !!enabled; }
+    canRedo() { return this.redoStack.length > 0; }
+
+    /**
+     * Chooses whether threefold repetition and the fifty-move rule end the game immediately, or are only reported
+     * through gameStatus.claimableDraw (the default) for a player to claimDraw(), leaving fivefold repetition and
+     * the seventy-five-move rule to end it automatically.
+     * @param {boolean} enabled
+     */
+    setAutoClaimDraws(enabled) {
+        this.autoClaimDraws = !!enabled;
+        if (this.boardState) this.updateGameStatus();
+    }
+
+    /**
+     * Captures a deep copy of the complete game state, including undo history.
+     * @returns {object} An opaque snapshot for restoreSnapshot().
+     */
+    createSnapshot() {
+        const state = {};
+        SNAPSHOT_FIELDS.forEach(field => { state[field] = this[field]; });
+        return JSON.parse(JSON.stringify(state));
+    }
+
+    /**
+     * Restores a game state previously captured with createSnapshot().
+     * @param {object} snapshot
+     */
+    restoreSnapshot(snapshot) {
+        const copy = JSON.parse(JSON.stringify(snapshot));
+        SNAPSHOT_FIELDS.forEach(field => { this[field] = copy[field]; });
+        this.emit(GAME_EVENTS.RESET, this.createResetEvent());
+    }
+
+    // --- FEN Import/Export ---
+
+    /**
+     * Replaces the current game with the position described by a FEN string.
+     * The move history, captured pieces and undo history are cleared.
+     * Fields 5 and 6 (half-move clock and full-move number) are optional and default to "0 1".
+     * @param {string} fen - Forsyth-Edwards Notation, e.g. STARTING_FEN.
+     * @throws {Error} If any field is malformed; the message names the offending field and the current game is left untouched.
+     */
+    loadFromFEN(fen) {
+        if (typeof fen !== 'string') throw new Error("Invalid FEN: expected a string.");
+        const fields = fen.trim().split(/\s+/);
+        if (fields.length < 4 || fields.length > 6) throw new Error(`Invalid FEN: expected 4 to 6 space-separated fields, got ${fields.length}.`);
+        const [placement, activeColor, castling, enPassant, halfMoves = '0', fullMoves = '1'] = fields;
+
+        // Field 1: piece placement, listed from rank 8 (row 0) down to rank 1 (row 7)
+        const ranks = placement.split('/');
+        if (ranks.length !== 8) throw new Error(`Invalid FEN piece placement: expected 8 ranks, got ${ranks.length}.`);
+        const newBoard = [];
+        const kingCount = { [COLORS.WHITE]: 0, [COLORS.BLACK]: 0 };
+        for (let r = 0; r < 8; r++) {
+            const row = [];
+            if (/[1-8]{2}/.test(ranks[r])) throw new Error(`Invalid FEN piece placement: consecutive digits on rank ${8 - r}.`); // '44' must be written '8'
+            for (const ch of ranks[r]) {
+                if (/[1-8]/.test(ch)) { for (let i = 0; i < Number(ch); i++) row.push(null); continue; }
+                const type = FEN_LETTER_TO_TYPE[ch.toLowerCase()];
+                if (!type) throw new Error(`Invalid FEN piece placement: unknown piece '${ch}' on rank ${8 - r}.`);
+                const color = ch === ch.toUpperCase() ? COLORS.WHITE : COLORS.BLACK;
+                if (type === PIECE_TYPES.PAWN && (r === 0 || r === 7)) throw new Error(`Invalid FEN piece placement: pawn on rank ${8 - r}.`);
+                if (type === PIECE_TYPES.KING) kingCount[color]++;
+                row.push({ type, color, hasMoved: false });
             }
+            if (row.length !== 8) throw new Error(`Invalid FEN piece placement: rank ${8 - r} describes ${row.length} squares instead of 8.`);
+            newBoard.push(row);
         }
-    };
+        if (kingCount[COLORS.WHITE] !== 1 || kingCount[COLORS.BLACK] !== 1) throw new Error("Invalid FEN piece placement: each side must have exactly one king.");
 
-    switch (piece.type) {
-        case PIECE_TYPES.PAWN:
-            const direction = color === COLORS.WHITE ? -1 : 1;
-            const startRank = color === COLORS.WHITE ? 6 : 1;
-            const promotionRank = color === COLORS.WHITE ? 0 : 7;
-            let endRow = startRow + direction;
-            let endCol = startCol;
-            if (isWithinBoard(endRow, endCol) && !getPieceAt(endRow, endCol)) {
-                if (endRow === promotionRank) ['queen', 'rook', 'bishop', 'knight'].forEach(p => addMove(endRow, endCol, { promotion: p }));
-                else addMove(endRow, endCol);
-                if (startRow === startRank) {
-                    endRow = startRow + 2 * direction;
-                    if (isWithinBoard(endRow, endCol) && !getPieceAt(endRow, endCol)) addMove(endRow, endCol, { isDoublePawnPush: true });
+        // Field 2: active color
+        if (activeColor !== 'w' && activeColor !== 'b') throw new Error(`Invalid FEN active color: expected 'w' or 'b', got '${activeColor}'.`);
+        const newPlayer = activeColor === 'w' ? COLORS.WHITE : COLORS.BLACK;
+
+        // Field 3: castling availability (the king and rook must still be on their home squares)
+        const newCastlingRights = {
+            [COLORS.WHITE]: { kingSide: false, queenSide: false },
+            [COLORS.BLACK]: { kingSide: false, queenSide: false },
+        };
+        if (castling !== '-') {
+            if (!/^[KQkq]+$/.test(castling) || new Set(castling).size !== castling.length) throw new Error(`Invalid FEN castling availability: '${castling}'.`);
+            for (const ch of castling) {
+                const color = ch === ch.toUpperCase() ? COLORS.WHITE : COLORS.BLACK;
+                const homeRow = color === COLORS.WHITE ? 7 : 0;
+                const rookCol = ch.toLowerCase() === 'k' ? 7 : 0;
+                const king = newBoard[homeRow][4];
+                const rook = newBoard[homeRow][rookCol];
+                if (!king || king.type !== PIECE_TYPES.KING || king.color !== color || !rook || rook.type !== PIECE_TYPES.ROOK || rook.color !== color) {
+                    throw new Error(`Invalid FEN castling availability: '${ch}' requires the ${color} king and rook on their home squares.`);
                 }
+                newCastlingRights[color][rookCol === 7 ? 'kingSide' : 'queenSide'] = true;
+            }
+        }
+        // Derive 'hasMoved' from the castling rights, since move generation uses both
+        for (const color of [COLORS.WHITE, COLORS.BLACK]) {
+            const homeRow = color === COLORS.WHITE ? 7 : 0;
+            const rights = newCastlingRights[color];
+            newBoard.forEach((row, r) => row.forEach((piece, c) => {
+                if (!piece || piece.color !== color) return;
+                if (piece.type === PIECE_TYPES.KING) piece.hasMoved = !(r === homeRow && c === 4 && (rights.kingSide || rights.queenSide));
+                else if (piece.type === PIECE_TYPES.ROOK) piece.hasMoved = !(r === homeRow && ((c === 7 && rights.kingSide) || (c === 0 && rights.queenSide)));
+                else if (piece.type === PIECE_TYPES.PAWN) piece.hasMoved = r !== (color === COLORS.WHITE ? 6 : 1);
+            }));
+        }
+
+        // Field 4: en passant target square (rank 6 when White is to move, rank 3 when Black is)
+        let newEnPassant = null;
+        if (enPassant !== '-') {
+            const match = /^([a-h])([36])$/.exec(enPassant);
+            const expectedRank = newPlayer === COLORS.WHITE ? '6' : '3';
+            if (!match || match[2] !== expectedRank) throw new Error(`Invalid FEN en passant square: '${enPassant}' (expected '-' or a square on rank ${expectedRank}).`);
+            newEnPassant = Notation.parseSquare(enPassant);
+            const pawnRow = newPlayer === COLORS.WHITE ? newEnPassant.row + 1 : newEnPassant.row - 1;
+            const pawn = newBoard[pawnRow][newEnPassant.col];
+            const opponentColor = newPlayer === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+            if (!pawn || pawn.type !== PIECE_TYPES.PAWN || pawn.color !== opponentColor || newBoard[newEnPassant.row][newEnPassant.col]) {
+                throw new Error(`Invalid FEN en passant square: '${enPassant}' does not follow a double pawn push.`);
             }
-            for (const dc of [-1, 1]) {
-                endRow = startRow + direction;
-                endCol = startCol + dc;
-                if (isWithinBoard(endRow, endCol)) {
-                    const targetPiece = getPieceAt(endRow, endCol);
-                    if (targetPiece && targetPiece.color === opponentColor) {
-                         if (endRow === promotionRank) ['queen', 'rook', 'bishop', 'knight'].forEach(p => addMove(endRow, endCol, { promotion: p }));
-                         else addMove(endRow, endCol);
+        }
+
+        // Fields 5 and 6: half-move clock and full-move number
+        if (!/^\d+$/.test(halfMoves)) throw new Error(`Invalid FEN half-move clock: '${halfMoves}'.`);
+        if (!/^\d+$/.test(fullMoves) || Number(fullMoves) < 1) throw new Error(`Invalid FEN full-move number: '${fullMoves}'.`);
+
+        // The side that just moved may not have left its king in check
+        const realBoardState = this.boardState;
+        this.boardState = newBoard;
+        const opponentInCheck = this.isKingInCheck(newPlayer === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE);
+        this.boardState = realBoardState;
+        if (opponentInCheck) throw new Error("Invalid FEN active color: the side not to move is in check.");
+
+        this.boardState = newBoard;
+        this.currentPlayer = newPlayer;
+        this.castlingRights = newCastlingRights;
+        this.enPassantTargetSquare = newEnPassant;
+        this.halfMoveClock = Number(halfMoves);
+        this.fullMoveNumber = Number(fullMoves);
+        this.moveHistory = [];
+        this.capturedPieces = { [COLORS.WHITE]: [], [COLORS.BLACK]: [] };
+        this.gameStatus = createInitialGameStatus();
+        this.gameStateHistory = [];
+        this.redoStack = [];
+        this.positionHistory = [this.getPositionKey()];
+        this.computeZobristKey();
+        this.updateGameStatus();
+        this.startingFEN = this.toFEN();
+        if (this.verbose) console.log("Chess logic loaded position from FEN:", fen);
+        this.emit(GAME_EVENTS.RESET, this.createResetEvent());
+    }
+
+    /**
+     * Serializes the current position to Forsyth-Edwards Notation.
+     * @returns {string} The six-field FEN string.
+     */
+    toFEN() {
+        if (!this.boardState) { console.error("toFEN called before this.boardState initialized!"); return ''; }
+        const placement = this.boardState.map(row => {
+            let rankText = ''; let emptyCount = 0;
+            for (const piece of row) {
+                if (!piece) { emptyCount++; continue; }
+                if (emptyCount) { rankText += emptyCount; emptyCount = 0; }
+                const letter = FEN_PIECE_LETTERS[piece.type];
+                rankText += piece.color === COLORS.WHITE ? letter.toUpperCase() : letter;
+            }
+            return emptyCount ? rankText + emptyCount : rankText;
+        }).join('/');
+        const castling = (this.castlingRights[COLORS.WHITE].kingSide ? 'K' : '') + (this.castlingRights[COLORS.WHITE].queenSide ? 'Q' : '') +
+            (this.castlingRights[COLORS.BLACK].kingSide ? 'k' : '') + (this.castlingRights[COLORS.BLACK].queenSide ? 'q' : '');
+        const enPassant = this.enPassantTargetSquare ? Notation.squareName(this.enPassantTargetSquare.row, this.enPassantTargetSquare.col) : '-';
+        return [placement, this.currentPlayer === COLORS.WHITE ? 'w' : 'b', castling || '-', enPassant, this.halfMoveClock, this.fullMoveNumber].join(' ');
+    }
+
+    // --- Move Generation & Validation ---
+
+    generatePseudoLegalMoves(startRow, startCol) {
+        const piece = this.getPieceAt(startRow, startCol);
+        if (!piece) return [];
+
+        const moves = [];
+        const color = piece.color;
+        const opponentColor = color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+
+        const addMove = (endRow, endCol, options = {}) => {
+            if (!isWithinBoard(endRow, endCol)) return;
+            const targetPiece = this.getPieceAt(endRow, endCol);
+            if (targetPiece && targetPiece.color === color) return;
+            moves.push({ row: endRow, col: endCol, isCapture: !!targetPiece, ...options });
+        };
+
+        const addSlidingMoves = (directions) => {
+            for (const [dr, dc] of directions) {
+                for (let i = 1; ; i++) {
+                    const endRow = startRow + i * dr;
+                    const endCol = startCol + i * dc;
+                    if (!isWithinBoard(endRow, endCol)) break;
+                    const targetPiece = this.getPieceAt(endRow, endCol);
+                    if (targetPiece) {
+                        if (targetPiece.color === opponentColor) addMove(endRow, endCol);
+                        break;
                     }
-                    if (enPassantTargetSquare && endRow === enPassantTargetSquare.row && endCol === enPassantTargetSquare.col) addMove(endRow, endCol, { isEnPassant: true });
+                    addMove(endRow, endCol);
                 }
             }
-            break;
-        case PIECE_TYPES.KNIGHT:
-            const knightMoves = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
-            for (const [dr, dc] of knightMoves) addMove(startRow + dr, startCol + dc);
-            break;
-        case PIECE_TYPES.BISHOP:
-            addSlidingMoves([[-1, -1], [-1, 1], [1, -1], [1, 1]]);
-            break;
-        case PIECE_TYPES.ROOK:
-            addSlidingMoves([[-1, 0], [1, 0], [0, -1], [0, 1]]);
-            break;
-        case PIECE_TYPES.QUEEN:
-            addSlidingMoves([[-1, -1], [-1, 1], [1, -1], [1, 1], [-1, 0], [1, 0], [0, -1], [0, 1]]);
-            break;
-        case PIECE_TYPES.KING:
-            const kingMoves = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
-            for (const [dr, dc] of kingMoves) addMove(startRow + dr, startCol + dc);
-            if (!piece.hasMoved && !isSquareAttacked(startRow, startCol, opponentColor)) {
-                if (castlingRights[color].kingSide) {
-                    const rook = getPieceAt(startRow, 7);
-                    if (rook && rook.type === PIECE_TYPES.ROOK && !rook.hasMoved && !getPieceAt(startRow, 5) && !getPieceAt(startRow, 6) && !isSquareAttacked(startRow, 5, opponentColor) && !isSquareAttacked(startRow, 6, opponentColor)) addMove(startRow, 6, { isCastling: 'kingSide' });
+        };
+
+        switch (piece.type) {
+            case PIECE_TYPES.PAWN:
+                const direction = color === COLORS.WHITE ? -1 : 1;
+                const startRank = color === COLORS.WHITE ? 6 : 1;
+                const promotionRank = color === COLORS.WHITE ? 0 : 7;
+                let endRow = startRow + direction;
+                let endCol = startCol;
+                if (isWithinBoard(endRow, endCol) && !this.getPieceAt(endRow, endCol)) {
+                    if (endRow === promotionRank) ['queen', 'rook', 'bishop', 'knight'].forEach(p => addMove(endRow, endCol, { promotion: p }));
+                    else addMove(endRow, endCol);
+                    if (startRow === startRank) {
+                        endRow = startRow + 2 * direction;
+                        if (isWithinBoard(endRow, endCol) && !this.getPieceAt(endRow, endCol)) addMove(endRow, endCol, { isDoublePawnPush: true });
+                    }
                 }
-                if (castlingRights[color].queenSide) {
-                     const rook = getPieceAt(startRow, 0);
-                     if (rook && rook.type === PIECE_TYPES.ROOK && !rook.hasMoved && !getPieceAt(startRow, 1) && !getPieceAt(startRow, 2) && !getPieceAt(startRow, 3) && !isSquareAttacked(startRow, 2, opponentColor) && !isSquareAttacked(startRow, 3, opponentColor)) addMove(startRow, 2, { isCastling: 'queenSide' });
+                for (const dc of [-1, 1]) {
+                    endRow = startRow + direction;
+                    endCol = startCol + dc;
+                    if (isWithinBoard(endRow, endCol)) {
+                        const targetPiece = this.getPieceAt(endRow, endCol);
+                        if (targetPiece && targetPiece.color === opponentColor) {
+                             if (endRow === promotionRank) ['queen', 'rook', 'bishop', 'knight'].forEach(p => addMove(endRow, endCol, { promotion: p }));
+                             else addMove(endRow, endCol);
+                        }
+                        if (this.enPassantTargetSquare && endRow === this.enPassantTargetSquare.row && endCol === this.enPassantTargetSquare.col) addMove(endRow, endCol, { isEnPassant: true });
+                    }
                 }
-            }
-            break;
+                break;
+            case PIECE_TYPES.KNIGHT:
+                const knightMoves = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+                for (const [dr, dc] of knightMoves) addMove(startRow + dr, startCol + dc);
+                break;
+            case PIECE_TYPES.BISHOP:
+                addSlidingMoves([[-1, -1], [-1, 1], [1, -1], [1, 1]]);
+                break;
+            case PIECE_TYPES.ROOK:
+                addSlidingMoves([[-1, 0], [1, 0], [0, -1], [0, 1]]);
+                break;
+            case PIECE_TYPES.QUEEN:
+                addSlidingMoves([[-1, -1], [-1, 1], [1, -1], [1, 1], [-1, 0], [1, 0], [0, -1], [0, 1]]);
+                break;
+            case PIECE_TYPES.KING:
+                const kingMoves = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+                for (const [dr, dc] of kingMoves) addMove(startRow + dr, startCol + dc);
+                if (!piece.hasMoved && !this.isSquareAttacked(startRow, startCol, opponentColor)) {
+                    if (this.castlingRights[color].kingSide) {
+                        const rook = this.getPieceAt(startRow, 7);
+                        if (rook && rook.type === PIECE_TYPES.ROOK && !rook.hasMoved && !this.getPieceAt(startRow, 5) && !this.getPieceAt(startRow, 6) && !this.isSquareAttacked(startRow, 5, opponentColor) && !this.isSquareAttacked(startRow, 6, opponentColor)) addMove(startRow, 6, { isCastling: 'kingSide' });
+                    }
+                    if (this.castlingRights[color].queenSide) {
+                         const rook = this.getPieceAt(startRow, 0);
+                         if (rook && rook.type === PIECE_TYPES.ROOK && !rook.hasMoved && !this.getPieceAt(startRow, 1) && !this.getPieceAt(startRow, 2) && !this.getPieceAt(startRow, 3) && !this.isSquareAttacked(startRow, 2, opponentColor) && !this.isSquareAttacked(startRow, 3, opponentColor)) addMove(startRow, 2, { isCastling: 'queenSide' });
+                    }
+                }
+                break;
+        }
+        return moves;
     }
-    return moves;
-}
 
-function isSquareAttacked(targetRow, targetCol, attackerColor) {
-    for (let r = 0; r < 8; r++) {
-        for (let c = 0; c < 8; c++) {
-            const piece = getPieceAt(r, c);
-            if (piece && piece.color === attackerColor) {
-                const attackMoves = generateAttackMovesIgnoringTurn(r, c);
-                if (attackMoves.some(move => move.row === targetRow && move.col === targetCol)) return true;
+    /** Whether a piece of attackerColor attacks the square, found by looking outward from it along every line of attack. */
+    isSquareAttacked(targetRow, targetCol, attackerColor) {
+        const board = this.boardState;
+        const pawnRow = targetRow + (attackerColor === COLORS.WHITE ? 1 : -1); // White pawns capture towards row 0
+        if (isPieceOfType(board, pawnRow, targetCol - 1, attackerColor, PIECE_TYPES.PAWN) || isPieceOfType(board, pawnRow, targetCol + 1, attackerColor, PIECE_TYPES.PAWN)) return true;
+        for (const [dr, dc] of KNIGHT_OFFSETS) if (isPieceOfType(board, targetRow + dr, targetCol + dc, attackerColor, PIECE_TYPES.KNIGHT)) return true;
+        for (const [dr, dc] of KING_OFFSETS) if (isPieceOfType(board, targetRow + dr, targetCol + dc, attackerColor, PIECE_TYPES.KING)) return true;
+        for (const [directions, sliderType] of SLIDING_ATTACKS) {
+            for (const [dr, dc] of directions) {
+                let row = targetRow + dr;
+                let col = targetCol + dc;
+                while (isWithinBoard(row, col) && !board[row][col]) { row += dr; col += dc; }
+                // Only the first piece on the line can attack along it
+                if (isPieceOfType(board, row, col, attackerColor, sliderType) || isPieceOfType(board, row, col, attackerColor, PIECE_TYPES.QUEEN)) return true;
             }
         }
+        return false;
     }
-    return false;
-}
 
-function generateAttackMovesIgnoringTurn(startRow, startCol) {
-     const piece = getPieceAt(startRow, startCol);
-    if (!piece) return [];
-    const moves = [];
-    const color = piece.color;
-    const addAttackIfValid = (endRow, endCol) => { if (isWithinBoard(endRow, endCol)) moves.push({ row: endRow, col: endCol }); };
-    const addSlidingAttacks = (directions) => {
-        for (const [dr, dc] of directions) {
-            for (let i = 1; ; i++) {
-                const endRow = startRow + i * dr;
-                const endCol = startCol + i * dc;
-                if (!isWithinBoard(endRow, endCol)) break;
-                addAttackIfValid(endRow, endCol);
-                if (getPieceAt(endRow, endCol)) break;
+    findKing(kingColor) {
+        if (!this.boardState) { console.error("findKing called before this.boardState initialized!"); return null; }
+        for (let r = 0; r < 8; r++) {
+            for (let c = 0; c < 8; c++) {
+                const piece = this.boardState[r][c];
+                if (piece && piece.type === PIECE_TYPES.KING && piece.color === kingColor) return { row: r, col: c };
             }
         }
-    };
-     switch (piece.type) {
-        case PIECE_TYPES.PAWN: const dir = color === COLORS.WHITE ? -1 : 1; addAttackIfValid(startRow + dir, startCol - 1); addAttackIfValid(startRow + dir, startCol + 1); break;
-        case PIECE_TYPES.KNIGHT: [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]].forEach(([dr, dc]) => addAttackIfValid(startRow + dr, startCol + dc)); break;
-        case PIECE_TYPES.BISHOP: addSlidingAttacks([[-1, -1], [-1, 1], [1, -1], [1, 1]]); break;
-        case PIECE_TYPES.ROOK: addSlidingAttacks([[-1, 0], [1, 0], [0, -1], [0, 1]]); break;
-        case PIECE_TYPES.QUEEN: addSlidingAttacks([[-1, -1], [-1, 1], [1, -1], [1, 1], [-1, 0], [1, 0], [0, -1], [0, 1]]); break;
-        case PIECE_TYPES.KING: [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]].forEach(([dr, dc]) => addAttackIfValid(startRow + dr, startCol + dc)); break;
-    }
-    return moves;
-}
+        console.error("King not found for color:", kingColor);
+        return null;
+    }
 
-function findKing(kingColor) {
-    if (!boardState) { console.error("findKing called before boardState initialized!"); return null; }
-    for (let r = 0; r < 8; r++) {
-        for (let c = 0; c < 8; c++) {
-            const piece = boardState[r][c];
-            if (piece && piece.type === PIECE_TYPES.KING && piece.color === kingColor) return { row: r, col: c };
-        }
+    isKingInCheck(playerColor) {
+        const kingPos = this.findKing(playerColor);
+        if (!kingPos) return false;
+        const opponentColor = playerColor === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+        return this.isSquareAttacked(kingPos.row, kingPos.col, opponentColor);
     }
-    console.error("King not found for color:", kingColor);
-    return null;
-}
 
-function isKingInCheck(playerColor) {
-    const kingPos = findKing(playerColor);
-    if (!kingPos) return false;
-    const opponentColor = playerColor === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
-    return isSquareAttacked(kingPos.row, kingPos.col, opponentColor);
-}
+    getValidMovesForPiece(startRow, startCol) {
+        const piece = this.getPieceAt(startRow, startCol);
+        if (!piece || piece.color !== this.currentPlayer) return [];
 
-function getValidMovesForPiece(startRow, startCol) {
-    const piece = getPieceAt(startRow, startCol);
-    if (!piece || piece.color !== currentPlayer) return [];
-
-    const pseudoLegalMoves = generatePseudoLegalMoves(startRow, startCol);
-    const legalMoves = [];
-    const originalBoardState = boardState.map(row => row.map(p => p ? {...p} : null));
-    // No need to store/restore enPassantTargetSquare for this check
-
-    for (const move of pseudoLegalMoves) {
-        let tempBoard = originalBoardState.map(row => row.map(p => p ? {...p} : null));
-        let tempPiece = tempBoard[startRow][startCol];
-        if (!tempPiece) continue; // Should not happen if piece exists initially
-
-        tempBoard[move.row][move.col] = tempPiece;
-        tempBoard[startRow][startCol] = null;
-        if (move.isEnPassant) {
-             const capturedPawnRow = startRow;
-             const capturedPawnCol = move.col;
-             if (isWithinBoard(capturedPawnRow, capturedPawnCol)) { // Bounds check
-                 tempBoard[capturedPawnRow][capturedPawnCol] = null;
-             }
-        }
-        // Simulate castling rook move on temp board if needed for check validation
-        if (move.isCastling) {
+        const board = this.boardState;
+        const opponentColor = piece.color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+        const kingSquare = piece.type === PIECE_TYPES.KING ? null : this.findKing(piece.color);
+        // Each move is played on the real board, the king's safety checked, and the board put back as it was
+        return this.generatePseudoLegalMoves(startRow, startCol).filter(move => {
+            const capturedRow = move.isEnPassant ? startRow : move.row;
+            const capturedPiece = board[capturedRow][move.col];
+            board[capturedRow][move.col] = null;
+            board[move.row][move.col] = piece;
+            board[startRow][startCol] = null;
             const rookStartCol = move.isCastling === 'kingSide' ? 7 : 0;
             const rookEndCol = move.isCastling === 'kingSide' ? 5 : 3;
-            let tempRook = tempBoard[startRow][rookStartCol];
-            if (tempRook) {
-                tempBoard[startRow][rookEndCol] = tempRook;
-                tempBoard[startRow][rookStartCol] = null;
+            const rook = move.isCastling ? board[startRow][rookStartCol] : null;
+            if (rook) { board[startRow][rookEndCol] = rook; board[startRow][rookStartCol] = null; }
+
+            const king = piece.type === PIECE_TYPES.KING ? move : kingSquare;
+            const isLegal = !king || !this.isSquareAttacked(king.row, king.col, opponentColor);
+
+            if (rook) { board[startRow][rookStartCol] = rook; board[startRow][rookEndCol] = null; }
+            board[startRow][startCol] = piece;
+            board[move.row][move.col] = null;
+            board[capturedRow][move.col] = capturedPiece;
+            return isLegal;
+        });
+    }
+
+    getAllLegalMovesForCurrentPlayer() {
+        const allMoves = [];
+        if (!this.boardState) { console.error("getAllLegalMovesForCurrentPlayer called before this.boardState initialized!"); return []; }
+        for (let r = 0; r < 8; r++) {
+            for (let c = 0; c < 8; c++) {
+                const piece = this.getPieceAt(r, c);
+                if (piece && piece.color === this.currentPlayer) {
+                    const moves = this.getValidMovesForPiece(r, c);
+                    moves.forEach(move => allMoves.push({ startRow: r, startCol: c, endRow: move.row, endCol: move.col, ...move }));
+                }
             }
         }
+        return allMoves;
+    }
 
-        const realBoardState = boardState; // Backup real board reference
-        boardState = tempBoard; // Point check functions to the temporary board
+    /**
+     * Legal moves by the player's other pieces of the same type that also reach the target square.
+     * Pawns and kings never need SAN disambiguation, so they always get an empty list.
+     */
+    getRivalMovesToSquare(piece, startRow, startCol, endRow, endCol) {
+        if (piece.type === PIECE_TYPES.PAWN || piece.type === PIECE_TYPES.KING) return [];
+        const rivalMoves = [];
+        for (let r = 0; r < 8; r++) {
+            for (let c = 0; c < 8; c++) {
+                const other = this.getPieceAt(r, c);
+                if (!other || (r === startRow && c === startCol) || other.type !== piece.type || other.color !== piece.color) continue;
+                this.getValidMovesForPiece(r, c).filter(move => move.row === endRow && move.col === endCol)
+                    .forEach(move => rivalMoves.push({ startRow: r, startCol: c, endRow, endCol, ...move }));
+            }
+        }
+        return rivalMoves;
+    }
 
-        // Check if the current player's king is safe after the move
-        if (!isKingInCheck(currentPlayer)) {
-            legalMoves.push(move);
+    /**
+     * Finds the legal move of the current position written in SAN ("Nbd2"), UCI ("g1f3", "e7e8q") or LAN ("Ng1-f3").
+     * @param {string} moveText
+     * @returns {object} A move as returned by getAllLegalMovesForCurrentPlayer().
+     * @throws {Error} If the notation is malformed, illegal or ambiguous.
+     */
+    findLegalMove(moveText) {
+        return Notation.parseMove(moveText, this.boardState, this.getAllLegalMovesForCurrentPlayer());
+    }
+
+    getRandomMoveForComputer() {
+        const legalMoves = this.getAllLegalMovesForCurrentPlayer();
+        if (legalMoves.length === 0) { console.log("getRandomMoveForComputer: No legal moves found."); return null; }
+        const randomIndex = Math.floor(Math.random() * legalMoves.length);
+        const randomMove = legalMoves[randomIndex];
+        console.log("getRandomMoveForComputer: Selected move -", randomMove);
+        return randomMove;
+    }
+
+    /**
+     * Full positional evaluation of the current board (see evaluation.js).
+     * @returns {{score: number, phase: number, terms: object}} Centipawns from White's point of view, with a per-term breakdown.
+     */
+    evaluatePosition() {
+        return Evaluation.evaluatePosition(this.boardState);
+    }
+
+    evaluateBoardMaterial() {
+        const pieceValues = { [PIECE_TYPES.PAWN]: 1, [PIECE_TYPES.KNIGHT]: 3, [PIECE_TYPES.BISHOP]: 3, [PIECE_TYPES.ROOK]: 5, [PIECE_TYPES.QUEEN]: 9, [PIECE_TYPES.KING]: 0 };
+        let totalScore = 0;
+        if (!this.boardState) { console.error("evaluateBoardMaterial called before this.boardState initialized!"); return 0; }
+        for (let r = 0; r < 8; r++) {
+            for (let c = 0; c < 8; c++) {
+                const piece = this.getPieceAt(r, c);
+                if (piece) {
+                    const value = pieceValues[piece.type] || 0;
+                    if (piece.color === COLORS.WHITE) totalScore += value;
+                    else totalScore -= value;
+                }
+            }
         }
+        return totalScore;
+    }
+
+    // --- Draw Detection ---
 
-        boardState = realBoardState; // Restore real board reference
+    /**
+     * Builds the key used to detect repeated positions: piece placement, side to move, castling rights and
+     * the en passant square. The en passant square only counts when a pawn stands ready to capture on it.
+     */
+    getPositionKey() {
+        const [placement, activeColor, castling] = this.toFEN().split(' ');
+        const capturableSquare = this.getCapturableEnPassantSquare();
+        const enPassant = capturableSquare ? Notation.squareName(capturableSquare.row, capturableSquare.col) : '-';
+        return `${placement} ${activeColor} ${castling} ${enPassant}`;
+    }
+
+    /** The en passant target square, but only when a pawn of the side to move actually stands ready to capture on it. */
+    getCapturableEnPassantSquare() {
+        if (!this.enPassantTargetSquare) return null;
+        const pawnRow = this.enPassantTargetSquare.row + (this.currentPlayer === COLORS.WHITE ? 1 : -1);
+        const canCapture = [-1, 1].some(dc => {
+            const pawn = this.getPieceAt(pawnRow, this.enPassantTargetSquare.col + dc);
+            return pawn && pawn.type === PIECE_TYPES.PAWN && pawn.color === this.currentPlayer;
+        });
+        return canCapture ? this.enPassantTargetSquare : null;
     }
-    return legalMoves;
-}
 
-function getAllLegalMovesForCurrentPlayer() {
-    const allMoves = [];
-    if (!boardState) { console.error("getAllLegalMovesForCurrentPlayer called before boardState initialized!"); return []; }
-    for (let r = 0; r < 8; r++) {
-        for (let c = 0; c < 8; c++) {
-            const piece = getPieceAt(r, c);
-            if (piece && piece.color === currentPlayer) {
-                const moves = getValidMovesForPiece(r, c);
-                moves.forEach(move => allMoves.push({ startRow: r, startCol: c, endRow: move.row, endCol: move.col, ...move }));
+    // --- Zobrist Keys ---
+
+    /** XORs one entry of the Zobrist tables into the current key. */
+    toggleZobrist(index) {
+        this.zobristHigh = (this.zobristHigh ^ ZOBRIST_HIGH[index]) >>> 0;
+        this.zobristLow = (this.zobristLow ^ ZOBRIST_LOW[index]) >>> 0;
+    }
+
+    /** XORs the side to move, castling rights and capturable en passant file in or out of the key. */
+    toggleZobristState() {
+        if (this.currentPlayer === COLORS.BLACK) this.toggleZobrist(ZOBRIST_SIDE_INDEX);
+        const rights = [this.castlingRights[COLORS.WHITE].kingSide, this.castlingRights[COLORS.WHITE].queenSide, this.castlingRights[COLORS.BLACK].kingSide, this.castlingRights[COLORS.BLACK].queenSide];
+        rights.forEach((hasRight, i) => { if (hasRight) this.toggleZobrist(ZOBRIST_CASTLING_INDEX + i); });
+        const enPassantSquare = this.getCapturableEnPassantSquare();
+        if (enPassantSquare) this.toggleZobrist(ZOBRIST_EN_PASSANT_INDEX + enPassantSquare.col);
+    }
+
+    /** Recomputes the Zobrist key from scratch; used whenever the position is set up rather than reached by a move. */
+    computeZobristKey() {
+        this.zobristHigh = 0;
+        this.zobristLow = 0;
+        for (let r = 0; r < 8; r++) {
+            for (let c = 0; c < 8; c++) {
+                const piece = this.boardState[r][c];
+                if (piece) this.toggleZobrist(zobristPieceIndex(piece, r, c));
             }
         }
+        this.toggleZobristState();
     }
-    return allMoves;
-}
 
-function getRandomMoveForComputer() {
-    const legalMoves = getAllLegalMovesForCurrentPlayer();
-    if (legalMoves.length === 0) { console.log("getRandomMoveForComputer: No legal moves found."); return null; }
-    const randomIndex = Math.floor(Math.random() * legalMoves.length);
-    const randomMove = legalMoves[randomIndex];
-    console.log("getRandomMoveForComputer: Selected move -", randomMove);
-    return randomMove;
-}
+    /** Counts how often the current position has occurred (only positions since the last capture or pawn move can match). */
+    countRepetitions() {
+        const currentKey = this.positionHistory[this.positionHistory.length - 1];
+        return this.positionHistory.slice(-(this.halfMoveClock + 1)).filter(key => key === currentKey).length;
+    }
 
-function evaluateBoardMaterial() {
-    const pieceValues = { [PIECE_TYPES.PAWN]: 1, [PIECE_TYPES.KNIGHT]: 3, [PIECE_TYPES.BISHOP]: 3, [PIECE_TYPES.ROOK]: 5, [PIECE_TYPES.QUEEN]: 9, [PIECE_TYPES.KING]: 0 };
-    let totalScore = 0;
-    if (!boardState) { console.error("evaluateBoardMaterial called before boardState initialized!"); return 0; }
-    for (let r = 0; r < 8; r++) {
-        for (let c = 0; c < 8; c++) {
-            const piece = getPieceAt(r, c);
-            if (piece) {
-                const value = pieceValues[piece.type] || 0;
-                if (piece.color === COLORS.WHITE) totalScore += value;
-                else totalScore -= value;
+    /**
+     * Checks for positions where neither side can checkmate: K vs K, K+minor vs K,
+     * and any number of bishops that all stand on squares of the same color.
+     */
+    hasInsufficientMaterial() {
+        const minorPieces = [];
+        for (let r = 0; r < 8; r++) {
+            for (let c = 0; c < 8; c++) {
+                const piece = this.getPieceAt(r, c);
+                if (!piece || piece.type === PIECE_TYPES.KING) continue;
+                if (piece.type !== PIECE_TYPES.BISHOP && piece.type !== PIECE_TYPES.KNIGHT) return false;
+                minorPieces.push({ type: piece.type, squareColor: (r + c) % 2 });
             }
         }
+        if (minorPieces.length <= 1) return true;
+        return minorPieces.every(p => p.type === PIECE_TYPES.BISHOP && p.squareColor === minorPieces[0].squareColor);
     }
-    return totalScore;
-}
 
-function updateGameStatus() {
-    // Ensure currentPlayer is valid before proceeding
-     if (!currentPlayer) {
-         console.error("updateGameStatus called with invalid currentPlayer state.");
-         return;
-     }
-    gameStatus.isCheck = isKingInCheck(currentPlayer);
-    const hasLegalMoves = getAllLegalMovesForCurrentPlayer().length > 0;
-
-    if (gameStatus.isCheck && !hasLegalMoves) {
-        gameStatus.isCheckmate = true;
-        gameStatus.winner = currentPlayer === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
-        console.log("Checkmate!", gameStatus.winner, "wins.");
-    } else if (!gameStatus.isCheck && !hasLegalMoves) {
-        gameStatus.isStalemate = true;
-        gameStatus.winner = 'draw';
-        console.log("Stalemate! Draw.");
-    } else {
-        gameStatus.isCheckmate = false;
-        gameStatus.isStalemate = false;
-        gameStatus.winner = null;
+    /** Whether a side still has more than a bare king or a king and one minor piece, i.e. enough to mate with. */
+    hasMatingMaterial(color) {
+        let minorPieces = 0;
+        for (let r = 0; r < 8; r++) {
+            for (let c = 0; c < 8; c++) {
+                const piece = this.getPieceAt(r, c);
+                if (!piece || piece.color !== color || piece.type === PIECE_TYPES.KING) continue;
+                if (piece.type !== PIECE_TYPES.BISHOP && piece.type !== PIECE_TYPES.KNIGHT) return true;
+                minorPieces++;
+            }
+        }
+        return minorPieces >= 2;
     }
-}
 
-function makeMove(startRow, startCol, endRow, endCol, promotionPieceType = null) {
-    const pieceToMove = getPieceAt(startRow, startCol);
-    if (!pieceToMove || pieceToMove.color !== currentPlayer) {
-        console.warn("Invalid move attempt: No piece or wrong color.", {startRow, startCol, currentPlayer});
-        return { success: false, move: null, capturedPiece: null, moveNotation: "", specialMoves: {} };
-    }
-    const legalMoves = getValidMovesForPiece(startRow, startCol);
-    const moveDetails = legalMoves.find(m => m.row === endRow && m.col === endCol);
-    if (!moveDetails) {
-         console.warn("Invalid move attempt: Move not found in legal moves.", {startRow, startCol, endRow, endCol, piece: pieceToMove.type});
-        return { success: false, move: null, capturedPiece: null, moveNotation: "", specialMoves: {} };
-    }
-
-    const promotionRank = currentPlayer === COLORS.WHITE ? 0 : 7;
-    if (pieceToMove.type === PIECE_TYPES.PAWN && endRow === promotionRank) {
-        if (!promotionPieceType) promotionPieceType = PIECE_TYPES.QUEEN;
-        else if (![PIECE_TYPES.QUEEN, PIECE_TYPES.ROOK, PIECE_TYPES.BISHOP, PIECE_TYPES.KNIGHT].includes(promotionPieceType)) promotionPieceType = PIECE_TYPES.QUEEN;
-    }
-    if (moveDetails.promotion && !promotionPieceType) promotionPieceType = moveDetails.promotion;
-
-    // Store State BEFORE Making Move
-    const previousState = {
-        boardState: boardState.map(row => row.map(p => p ? {...p} : null)),
-        currentPlayer: currentPlayer,
-        castlingRights: JSON.parse(JSON.stringify(castlingRights)),
-        enPassantTargetSquare: enPassantTargetSquare ? {...enPassantTargetSquare} : null,
-        // Store captured piece counts for more robust undo if needed later
-        // capturedWhiteCount: capturedPieces[COLORS.WHITE].length,
-        // capturedBlackCount: capturedPieces[COLORS.BLACK].length,
-    };
-    gameStateHistory.push(previousState);
-
-    // Execute the Move and Update State
-    let capturedPiece = boardState[endRow][endCol] ? { ...boardState[endRow][endCol] } : null;
-    const specialMovesResult = {};
-    let enPassantCaptureCoords = null;
-    let castledRookMove = null;
-    enPassantTargetSquare = null; // Reset en passant target
-    let movingPieceCopy = { ...pieceToMove };
-
-    if (moveDetails.isEnPassant) {
-        const capturedPawnRow = startRow; const capturedPawnCol = endCol;
-        capturedPiece = boardState[capturedPawnRow][capturedPawnCol] ? { ...boardState[capturedPawnRow][capturedPawnCol] } : null;
-        boardState[capturedPawnRow][capturedPawnCol] = null;
-        specialMovesResult.enPassantCapture = true;
-        enPassantCaptureCoords = { row: capturedPawnRow, col: capturedPawnCol };
-    }
-    if (capturedPiece) capturedPieces[previousState.currentPlayer].push(capturedPiece); // Add to previous player's captures
-    boardState[endRow][endCol] = movingPieceCopy;
-    boardState[startRow][startCol] = null;
-    movingPieceCopy.hasMoved = true;
-    if (moveDetails.isCastling) {
-        specialMovesResult.castled = moveDetails.isCastling;
-        const rookStartCol = moveDetails.isCastling === 'kingSide' ? 7 : 0; const rookEndCol = moveDetails.isCastling === 'kingSide' ? 5 : 3;
-        const rook = boardState[startRow][rookStartCol]; // Get ref before copy
-        if (rook && rook.type === PIECE_TYPES.ROOK) {
-            let rookCopy = { ...rook }; boardState[startRow][rookEndCol] = rookCopy; boardState[startRow][rookStartCol] = null; rookCopy.hasMoved = true;
-            castledRookMove = { startRow: startRow, startCol: rookStartCol, endRow: startRow, endCol: rookEndCol };
-        } else { console.error("Castling error: Rook not found!"); }
-    }
-    if (moveDetails.promotion || promotionPieceType) {
-         const finalPromotionType = promotionPieceType || moveDetails.promotion;
-         boardState[endRow][endCol].type = finalPromotionType; specialMovesResult.promotion = finalPromotionType;
-    }
-    if (moveDetails.isDoublePawnPush) enPassantTargetSquare = { row: (startRow + endRow) / 2, col: startCol };
-
-    // Update Castling Rights (use previous player's color)
-    if (movingPieceCopy.type === PIECE_TYPES.KING) { castlingRights[previousState.currentPlayer].kingSide = false; castlingRights[previousState.currentPlayer].queenSide = false; }
-    else if (movingPieceCopy.type === PIECE_TYPES.ROOK) { const homeRank = previousState.currentPlayer === COLORS.WHITE ? 7 : 0; if (startRow === homeRank) { if (startCol === 0) castlingRights[previousState.currentPlayer].queenSide = false; if (startCol === 7) castlingRights[previousState.currentPlayer].kingSide = false; } }
-    if (capturedPiece && capturedPiece.type === PIECE_TYPES.ROOK) { const opponentColor = previousState.currentPlayer === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE; const opponentHomeRank = opponentColor === COLORS.WHITE ? 7 : 0; if(endRow === opponentHomeRank) { if (endCol === 0) castlingRights[opponentColor].queenSide = false; if (endCol === 7) castlingRights[opponentColor].kingSide = false; } }
-
-    // Switch Player Turn
-    currentPlayer = (previousState.currentPlayer === COLORS.WHITE) ? COLORS.BLACK : COLORS.WHITE;
-    // Update status for the NEW current player
-    updateGameStatus();
-
-    const moveNotation = generateAlgebraicNotation( pieceToMove, startRow, startCol, endRow, endCol, capturedPiece, moveDetails.isCastling, specialMovesResult.promotion, gameStatus.isCheck, gameStatus.isCheckmate, moveDetails.isEnPassant );
-    moveHistory.push(moveNotation);
-    console.log(`Move executed: ${moveNotation}. Turn: ${currentPlayer}. Check: ${gameStatus.isCheck}`);
-
-    const finalPieceOnBoard = boardState[endRow][endCol];
-    const moveDataForReturn = { startRow: startRow, startCol: startCol, endRow: endRow, endCol: endCol, piece: { type: finalPieceOnBoard.type, color: finalPieceOnBoard.color }, promotion: specialMovesResult.promotion || null };
-    return { success: true, move: moveDataForReturn, capturedPiece: capturedPiece, moveNotation: moveNotation, specialMoves: specialMovesResult, castledRookMove: castledRookMove, enPassantCaptureCoords: enPassantCaptureCoords };
-}
+    /**
+     * Ends the game because a player's clock ran out: a loss, or a draw when the opponent has no mating material.
+     * Emits 'gameOver' with reason 'timeout' or DRAW_REASONS.TIMEOUT_VS_INSUFFICIENT_MATERIAL.
+     * @param {string} color - The side whose flag fell.
+     * @returns {boolean} False if the game was already over.
+     */
+    flagFall(color) {
+        if (this.isGameOver()) return false;
+        const opponent = color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+        this.gameStatus = { ...this.gameStatus, claimableDraw: null, timeForfeit: color };
+        if (this.hasMatingMaterial(opponent)) {
+            this.gameStatus.winner = opponent;
+        } else {
+            this.gameStatus.isDraw = true;
+            this.gameStatus.drawReason = DRAW_REASONS.TIMEOUT_VS_INSUFFICIENT_MATERIAL;
+            this.gameStatus.winner = 'draw';
+        }
+        if (this.verbose) console.log(`${color} ran out of time.`, this.gameStatus.isDraw ? "Draw." : `${opponent} wins.`);
+        const reason = this.gameStatus.isDraw ? this.gameStatus.drawReason : 'timeout';
+        this.emit(GAME_EVENTS.GAME_OVER, { winner: this.gameStatus.winner, reason, flaggedColor: color, status: { ...this.gameStatus } });
+        return true;
+    }
 
-function undoMove() {
-    if (gameStateHistory.length === 0) {
-        console.warn("Undo failed: No history available.");
-        return false;
+    /**
+     * Ends the game as a draw by the threefold repetition or fifty-move rule reported in gameStatus.claimableDraw.
+     * Emits 'gameOver' with that draw reason.
+     * @returns {boolean} False if no draw can be claimed.
+     */
+    claimDraw() {
+        const reason = this.gameStatus.claimableDraw;
+        if (!reason || this.isGameOver()) return false;
+        this.gameStatus = { ...this.gameStatus, claimableDraw: null, isDraw: true, drawReason: reason, winner: 'draw' };
+        if (this.verbose) console.log("Draw claimed:", reason);
+        this.emit(GAME_EVENTS.GAME_OVER, { winner: 'draw', reason, status: { ...this.gameStatus } });
+        return true;
     }
-    const previousState = gameStateHistory.pop();
-    boardState = previousState.boardState;
-    currentPlayer = previousState.currentPlayer;
-    castlingRights = previousState.castlingRights;
-    enPassantTargetSquare = previousState.enPassantTargetSquare;
-    if (moveHistory.length > 0) moveHistory.pop();
-
-    // --- Restore Captured Pieces (Simplified Approach) ---
-    // Recalculate captured pieces based on current board vs initial state
-    // This isn't perfect but avoids complex state saving for captures.
-    const initialPieceCounts = {};
-    const currentPieceCounts = {};
-    initialBoardSetup.flat().forEach(p => { if(p) initialPieceCounts[p.color + p.type] = (initialPieceCounts[p.color + p.type] || 0) + 1; });
-    boardState.flat().forEach(p => { if(p) currentPieceCounts[p.color + p.type] = (currentPieceCounts[p.color + p.type] || 0) + 1; });
-
-    capturedPieces = { [COLORS.WHITE]: [], [COLORS.BLACK]: [] };
-    for (const key in initialPieceCounts) {
-        const initialCount = initialPieceCounts[key];
-        const currentCount = currentPieceCounts[key] || 0;
-        const diff = initialCount - currentCount;
-        if (diff > 0) {
-            const color = key.startsWith(COLORS.WHITE) ? COLORS.WHITE : COLORS.BLACK;
-            const type = key.replace(color, '');
-            const opponentColor = color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
-            for (let i = 0; i < diff; i++) {
-                capturedPieces[opponentColor].push({ type: type, color: color }); // Add to opponent's capture list
+
+    updateGameStatus() {
+        // Ensure currentPlayer is valid before proceeding
+         if (!this.currentPlayer) {
+             console.error("updateGameStatus called with invalid this.currentPlayer state.");
+             return;
+         }
+        const isCheck = this.isKingInCheck(this.currentPlayer);
+        const hasLegalMoves = this.getAllLegalMovesForCurrentPlayer().length > 0;
+        this.gameStatus = { ...createInitialGameStatus(), isCheck };
+
+        if (isCheck && !hasLegalMoves) {
+            this.gameStatus.isCheckmate = true;
+            this.gameStatus.winner = this.currentPlayer === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+            if (this.verbose) console.log("Checkmate!", this.gameStatus.winner, "wins.");
+            return;
+        }
+
+        let drawReason = null;
+        if (!hasLegalMoves) {
+            this.gameStatus.isStalemate = true;
+            drawReason = DRAW_REASONS.STALEMATE;
+        } else if (this.hasInsufficientMaterial()) {
+            drawReason = DRAW_REASONS.INSUFFICIENT_MATERIAL;
+        } else {
+            const repetitions = this.countRepetitions();
+            if (repetitions >= 5) drawReason = DRAW_REASONS.FIVEFOLD_REPETITION;
+            else if (this.halfMoveClock >= 150) drawReason = DRAW_REASONS.SEVENTY_FIVE_MOVE_RULE;
+            else {
+                const claimable = repetitions >= 3 ? DRAW_REASONS.THREEFOLD_REPETITION : (this.halfMoveClock >= 100 ? DRAW_REASONS.FIFTY_MOVE_RULE : null);
+                if (claimable && this.autoClaimDraws) drawReason = claimable;
+                else this.gameStatus.claimableDraw = claimable;
             }
         }
+        if (drawReason) {
+            this.gameStatus.isDraw = true;
+            this.gameStatus.drawReason = drawReason;
+            this.gameStatus.winner = 'draw';
+            if (this.verbose) console.log("Draw:", drawReason);
+        }
     }
-    // --- End Simplified Captured Piece Restoration ---
 
-    updateGameStatus(); // Update check/mate/stalemate status
-    console.log("Move undone. Current player:", currentPlayer);
-    return true;
-}
+    makeMove(startRow, startCol, endRow, endCol, promotionPieceType = null) {
+        if (this.isGameOver()) {
+            console.warn("Invalid move attempt: The game is already over.", this.gameStatus);
+            return { success: false, move: null, capturedPiece: null, moveNotation: "", specialMoves: {} };
+        }
+        const pieceToMove = this.getPieceAt(startRow, startCol);
+        if (!pieceToMove || pieceToMove.color !== this.currentPlayer) {
+            console.warn("Invalid move attempt: No piece or wrong color.", {startRow, startCol, currentPlayer: this.currentPlayer});
+            return { success: false, move: null, capturedPiece: null, moveNotation: "", specialMoves: {} };
+        }
+        const legalMoves = this.getValidMovesForPiece(startRow, startCol);
+        const moveDetails = legalMoves.find(m => m.row === endRow && m.col === endCol);
+        if (!moveDetails) {
+             console.warn("Invalid move attempt: Move not found in legal moves.", {startRow, startCol, endRow, endCol, piece: pieceToMove.type});
+            return { success: false, move: null, capturedPiece: null, moveNotation: "", specialMoves: {} };
+        }
 
-function generateAlgebraicNotation(piece, startRow, startCol, endRow, endCol, capturedPiece, castlingType, promotionType, isCheck, isCheckmate, wasEnPassantCapture) {
-    if (castlingType === 'kingSide') return isCheckmate ? 'O-O#' : (isCheck ? 'O-O+' : 'O-O');
-    if (castlingType === 'queenSide') return isCheckmate ? 'O-O-O#' : (isCheck ? 'O-O-O+' : 'O-O-O');
-    const pieceSymbols = { pawn: "", rook: "R", knight: "N", bishop: "B", queen: "Q", king: "K" };
-    const files = "abcdefgh"; const ranks = "87654321"; let notation = "";
-    const pieceSymbol = (piece.type === PIECE_TYPES.PAWN && !capturedPiece) ? "" : pieceSymbols[piece.type];
-    if (piece.type === PIECE_TYPES.PAWN && capturedPiece) notation += files[startCol];
-    else if (piece.type !== PIECE_TYPES.PAWN) notation += pieceSymbol;
-    // TODO: Add disambiguation logic here if necessary
-    if (capturedPiece) notation += "x";
-    notation += files[endCol] + ranks[endRow];
-    if (promotionType) notation += "=" + pieceSymbols[promotionType].toUpperCase();
-    if (isCheckmate) notation += "#"; else if (isCheck) notation += "+";
-    return notation;
-}
+        const promotionRank = this.currentPlayer === COLORS.WHITE ? 0 : 7;
+        if (pieceToMove.type === PIECE_TYPES.PAWN && endRow === promotionRank) {
+            if (!promotionPieceType) promotionPieceType = PIECE_TYPES.QUEEN;
+            else if (![PIECE_TYPES.QUEEN, PIECE_TYPES.ROOK, PIECE_TYPES.BISHOP, PIECE_TYPES.KNIGHT].includes(promotionPieceType)) promotionPieceType = PIECE_TYPES.QUEEN;
+        }
+        if (moveDetails.promotion && !promotionPieceType) promotionPieceType = moveDetails.promotion;
+
+        // Other pieces that could reach the same square decide how the SAN is disambiguated
+        const rivalMoves = this.getRivalMovesToSquare(pieceToMove, startRow, startCol, endRow, endCol);
+
+        // Store State BEFORE Making Move
+        const previousState = {
+            boardState: this.boardState.map(row => row.map(p => p ? {...p} : null)),
+            currentPlayer: this.currentPlayer,
+            castlingRights: JSON.parse(JSON.stringify(this.castlingRights)),
+            enPassantTargetSquare: this.enPassantTargetSquare ? {...this.enPassantTargetSquare} : null,
+            halfMoveClock: this.halfMoveClock,
+            fullMoveNumber: this.fullMoveNumber,
+            zobristHigh: this.zobristHigh,
+            zobristLow: this.zobristLow,
+            move: { startRow, startCol, endRow, endCol, promotion: promotionPieceType }, // Replayed by redoMove()
+            capturedPiece: null, // The exact piece this move captured, filled in below and removed again by undoMove()
+        };
+        this.gameStateHistory.push(previousState);
+        if (!this.isRedoing) this.redoStack = [];
+        this.toggleZobristState(); // Take the old side to move, castling rights and en passant file out of the key
+
+        // Execute the Move and Update State
+        let capturedPiece = this.boardState[endRow][endCol] ? { ...this.boardState[endRow][endCol] } : null;
+        const specialMovesResult = {};
+        let enPassantCaptureCoords = null;
+        let castledRookMove = null;
+        this.enPassantTargetSquare = null; // Reset en passant target
+        let movingPieceCopy = { ...pieceToMove };
+
+        if (moveDetails.isEnPassant) {
+            const capturedPawnRow = startRow; const capturedPawnCol = endCol;
+            capturedPiece = this.boardState[capturedPawnRow][capturedPawnCol] ? { ...this.boardState[capturedPawnRow][capturedPawnCol] } : null;
+            this.boardState[capturedPawnRow][capturedPawnCol] = null;
+            specialMovesResult.enPassantCapture = true;
+            enPassantCaptureCoords = { row: capturedPawnRow, col: capturedPawnCol };
+        }
+        if (capturedPiece) {
+            this.capturedPieces[previousState.currentPlayer].push(capturedPiece); // Add to previous player's captures
+            previousState.capturedPiece = { ...capturedPiece };
+        }
+        this.boardState[endRow][endCol] = movingPieceCopy;
+        this.boardState[startRow][startCol] = null;
+        movingPieceCopy.hasMoved = true;
+        if (moveDetails.isCastling) {
+            specialMovesResult.castled = moveDetails.isCastling;
+            const rookStartCol = moveDetails.isCastling === 'kingSide' ? 7 : 0; const rookEndCol = moveDetails.isCastling === 'kingSide' ? 5 : 3;
+            const rook = this.boardState[startRow][rookStartCol]; // Get ref before copy
+            if (rook && rook.type === PIECE_TYPES.ROOK) {
+                let rookCopy = { ...rook }; this.boardState[startRow][rookEndCol] = rookCopy; this.boardState[startRow][rookStartCol] = null; rookCopy.hasMoved = true;
+                castledRookMove = { startRow: startRow, startCol: rookStartCol, endRow: startRow, endCol: rookEndCol };
+            } else { console.error("Castling error: Rook not found!"); }
+        }
+        if (moveDetails.promotion || promotionPieceType) {
+             const finalPromotionType = promotionPieceType || moveDetails.promotion;
+             this.boardState[endRow][endCol].type = finalPromotionType; specialMovesResult.promotion = finalPromotionType;
+        }
+        if (moveDetails.isDoublePawnPush) this.enPassantTargetSquare = { row: (startRow + endRow) / 2, col: startCol };
+        this.halfMoveClock = (pieceToMove.type === PIECE_TYPES.PAWN || capturedPiece) ? 0 : this.halfMoveClock + 1;
+        if (previousState.currentPlayer === COLORS.BLACK) this.fullMoveNumber++;
+
+        // Update Castling Rights (use previous player's color)
+        if (movingPieceCopy.type === PIECE_TYPES.KING) { this.castlingRights[previousState.currentPlayer].kingSide = false; this.castlingRights[previousState.currentPlayer].queenSide = false; }
+        else if (movingPieceCopy.type === PIECE_TYPES.ROOK) { const homeRank = previousState.currentPlayer === COLORS.WHITE ? 7 : 0; if (startRow === homeRank) { if (startCol === 0) this.castlingRights[previousState.currentPlayer].queenSide = false; if (startCol === 7) this.castlingRights[previousState.currentPlayer].kingSide = false; } }
+        if (capturedPiece && capturedPiece.type === PIECE_TYPES.ROOK) { const opponentColor = previousState.currentPlayer === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE; const opponentHomeRank = opponentColor === COLORS.WHITE ? 7 : 0; if(endRow === opponentHomeRank) { if (endCol === 0) this.castlingRights[opponentColor].queenSide = false; if (endCol === 7) this.castlingRights[opponentColor].kingSide = false; } }
+
+        // Switch Player Turn
+        this.currentPlayer = (previousState.currentPlayer === COLORS.WHITE) ? COLORS.BLACK : COLORS.WHITE;
+
+        // Update the Zobrist key for the pieces that moved, then add the new side, rights and en passant file
+        this.toggleZobrist(zobristPieceIndex(pieceToMove, startRow, startCol));
+        if (capturedPiece) {
+            const capturedAt = enPassantCaptureCoords || { row: endRow, col: endCol };
+            this.toggleZobrist(zobristPieceIndex(capturedPiece, capturedAt.row, capturedAt.col));
+        }
+        this.toggleZobrist(zobristPieceIndex(this.boardState[endRow][endCol], endRow, endCol));
+        if (castledRookMove) {
+            const rook = this.boardState[castledRookMove.endRow][castledRookMove.endCol];
+            this.toggleZobrist(zobristPieceIndex(rook, castledRookMove.startRow, castledRookMove.startCol));
+            this.toggleZobrist(zobristPieceIndex(rook, castledRookMove.endRow, castledRookMove.endCol));
+        }
+        this.toggleZobristState();
+        this.positionHistory.push(this.getPositionKey());
+        // Update status for the NEW current player
+        this.updateGameStatus();
+
+        const moveNotation = Notation.moveToSAN({ ...moveDetails, startRow, startCol, endRow, endCol, promotion: specialMovesResult.promotion || null }, previousState.boardState, rivalMoves, this.gameStatus);
+        this.moveHistory.push(moveNotation);
+        if (this.verbose) console.log(`Move executed: ${moveNotation}. Turn: ${this.currentPlayer}. Check: ${this.gameStatus.isCheck}`);
 
-// --- Minimax AI Logic ---
-
-function minimax(depth, isMaximizingPlayer) {
-    const currentStatus = getGameStatus();
-    if (depth === 0 || currentStatus.isCheckmate || currentStatus.isStalemate) {
-        if (currentStatus.isCheckmate) return isMaximizingPlayer ? -Infinity : Infinity; // Checkmate is worst/best possible outcome
-        if (currentStatus.isStalemate) return 0;
-        return evaluateBoardMaterial(); // Evaluate at max depth
-    }
-
-    const legalMoves = getAllLegalMovesForCurrentPlayer();
-    // If no moves possible from this simulated state, evaluate board (should match checkmate/stalemate above)
-    if (legalMoves.length === 0) {
-         return evaluateBoardMaterial();
-    }
-
-    if (isMaximizingPlayer) { // White's turn (or simulating White) - maximize score
-        let maxEval = -Infinity;
-        for (const move of legalMoves) {
-            const moveResult = makeMove(move.startRow, move.startCol, move.endRow, move.endCol, move.promotion);
-            if (moveResult.success) {
-                const evalScore = minimax(depth - 1, false); // Opponent minimizes
-                maxEval = Math.max(maxEval, evalScore);
-                undoMove();
-            } else { console.error("Minimax (Max): makeMove failed!", move); }
-        }
-        return maxEval;
-    } else { // Black's turn (or simulating Black) - minimize score
-        let minEval = Infinity;
-        for (const move of legalMoves) {
-            const moveResult = makeMove(move.startRow, move.startCol, move.endRow, move.endCol, move.promotion);
-             if (moveResult.success) {
-                const evalScore = minimax(depth - 1, true); // Opponent maximizes
-                minEval = Math.min(minEval, evalScore);
-                undoMove();
-            } else { console.error("Minimax (Min): makeMove failed!", move); }
-        }
-        return minEval;
+        const finalPieceOnBoard = this.boardState[endRow][endCol];
+        const moveDataForReturn = { startRow: startRow, startCol: startCol, endRow: endRow, endCol: endCol, piece: { type: finalPieceOnBoard.type, color: finalPieceOnBoard.color }, promotion: specialMovesResult.promotion || null };
+        const moveResult = {
+            success: true, move: moveDataForReturn, capturedPiece: capturedPiece, moveNotation: moveNotation, specialMoves: specialMovesResult, castledRookMove: castledRookMove, enPassantCaptureCoords: enPassantCaptureCoords,
+            san: moveNotation, color: previousState.currentPlayer, status: { ...this.gameStatus },
+        };
+        this.emitMoveEvents(moveResult);
+        return moveResult;
     }
-}
 
-function getBestMoveMinimax(depth) {
-    const legalMoves = getAllLegalMovesForCurrentPlayer();
-    if (legalMoves.length === 0) { console.log("getBestMoveMinimax: No legal moves available."); return null; }
+    /** Emits 'move' and, when they apply, 'capture', 'check' and 'gameOver' for a completed move. */
+    emitMoveEvents(moveResult) {
+        const { status } = moveResult;
+        this.emit(GAME_EVENTS.MOVE, moveResult);
+        if (moveResult.capturedPiece) {
+            const capturedAt = moveResult.enPassantCaptureCoords || { row: moveResult.move.endRow, col: moveResult.move.endCol };
+            this.emit(GAME_EVENTS.CAPTURE, { ...moveResult, capturedAt });
+        }
+        if (status.isCheck) this.emit(GAME_EVENTS.CHECK, { ...moveResult, checkedColor: this.currentPlayer });
+        if (status.isCheckmate || status.isDraw) {
+            this.emit(GAME_EVENTS.GAME_OVER, { ...moveResult, winner: status.winner, reason: status.isCheckmate ? 'checkmate' : status.drawReason });
+        }
+    }
 
-    let bestMove = null;
-    let bestValue;
-    const isMaximizing = (currentPlayer === COLORS.WHITE);
-    bestValue = isMaximizing ? -Infinity : Infinity;
+    undoMove() {
+        if (this.gameStateHistory.length === 0) {
+            console.warn("Undo failed: No history available.");
+            return false;
+        }
+        const previousState = this.gameStateHistory.pop();
+        this.boardState = previousState.boardState;
+        this.currentPlayer = previousState.currentPlayer;
+        this.castlingRights = previousState.castlingRights;
+        this.enPassantTargetSquare = previousState.enPassantTargetSquare;
+        this.halfMoveClock = previousState.halfMoveClock;
+        this.fullMoveNumber = previousState.fullMoveNumber;
+        this.zobristHigh = previousState.zobristHigh;
+        this.zobristLow = previousState.zobristLow;
+        if (this.positionHistory.length > 1) this.positionHistory.pop();
+        const undoneSan = this.moveHistory.length > 0 ? this.moveHistory.pop() : null;
+        if (previousState.capturedPiece) this.capturedPieces[previousState.currentPlayer].pop();
+        this.redoStack.push(previousState.move);
 
-    console.log(`getBestMoveMinimax: Evaluating moves for ${currentPlayer} at depth ${depth}. Maximizing: ${isMaximizing}`);
+        this.updateGameStatus(); // Update check/mate/stalemate status
+        if (this.verbose) console.log("Move undone. Current player:", this.currentPlayer);
+        this.emit(GAME_EVENTS.UNDO, { san: undoneSan, move: previousState.move, capturedPiece: previousState.capturedPiece, currentPlayer: this.currentPlayer, status: { ...this.gameStatus } });
+        return true;
+    }
 
-    // Shuffle moves for variety if scores are equal (optional)
-    // legalMoves.sort(() => Math.random() - 0.5);
+    /**
+     * Replays the move most recently taken back with undoMove(). Emits the same events as makeMove().
+     * @returns {object|null} The makeMove() result, or null when there is nothing to redo.
+     */
+    redoMove() {
+        if (this.redoStack.length === 0) {
+            console.warn("Redo failed: No undone moves available.");
+            return null;
+        }
+        const move = this.redoStack.pop();
+        this.isRedoing = true;
+        let result;
+        try { result = this.makeMove(move.startRow, move.startCol, move.endRow, move.endCol, move.promotion); }
+        finally { this.isRedoing = false; }
+        if (!result.success) { this.redoStack.push(move); console.error("Redo failed: the undone move is no longer legal.", move); }
+        return result;
+    }
 
-    for (const move of legalMoves) {
-        const moveResult = makeMove(move.startRow, move.startCol, move.endRow, move.endCol, move.promotion);
-        if (moveResult.success) {
-            const boardValue = minimax(depth - 1, !isMaximizing); // Evaluate from opponent's perspective
-            undoMove();
+    // --- Search Moves ---
+    // A lean make/unmake pair for the AI search. It skips everything makeMove() does for the players: validation,
+    // SAN, the board copy for undo, the repetition key, the status update and events. Between the two calls the
+    // move history, captured pieces and game status still describe the position the search started from.
 
-            if (isMaximizing) {
-                if (boardValue > bestValue) { bestValue = boardValue; bestMove = move; }
-            } else {
-                if (boardValue < bestValue) { bestValue = boardValue; bestMove = move; }
-            }
-        } else { console.error("getBestMoveMinimax: makeMove failed during evaluation!", move); }
+    /**
+     * Plays a move on the board, updating the turn, castling rights, en passant square, clocks and Zobrist key.
+     * @param {object} move - A move from getAllLegalMovesForCurrentPlayer(); it is not checked for legality.
+     */
+    makeSearchMove(move) {
+        const { startRow, startCol, endRow, endCol } = move;
+        const board = this.boardState;
+        const color = this.currentPlayer;
+        const opponentColor = color === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+        const piece = board[startRow][startCol];
+        const capturedRow = move.isEnPassant ? startRow : endRow;
+        const capturedPiece = board[capturedRow][endCol];
+        const rookStartCol = move.isCastling === 'kingSide' ? 7 : 0;
+        const rook = move.isCastling ? board[startRow][rookStartCol] : null;
+        this.searchHistory.push({
+            move, piece, capturedPiece, rook, castlingRights: this.castlingRights, enPassantTargetSquare: this.enPassantTargetSquare,
+            halfMoveClock: this.halfMoveClock, fullMoveNumber: this.fullMoveNumber, zobristHigh: this.zobristHigh, zobristLow: this.zobristLow,
+        });
+        this.toggleZobristState();
+
+        // The moved pieces are replaced rather than changed, so undoSearchMove() can put the originals back
+        const movedPiece = { type: move.promotion || piece.type, color, hasMoved: true };
+        board[capturedRow][endCol] = null;
+        board[endRow][endCol] = movedPiece;
+        board[startRow][startCol] = null;
+        this.toggleZobrist(zobristPieceIndex(piece, startRow, startCol));
+        this.toggleZobrist(zobristPieceIndex(movedPiece, endRow, endCol));
+        if (capturedPiece) this.toggleZobrist(zobristPieceIndex(capturedPiece, capturedRow, endCol));
+        if (rook) {
+            const rookEndCol = move.isCastling === 'kingSide' ? 5 : 3;
+            board[startRow][rookEndCol] = { ...rook, hasMoved: true };
+            board[startRow][rookStartCol] = null;
+            this.toggleZobrist(zobristPieceIndex(rook, startRow, rookStartCol));
+            this.toggleZobrist(zobristPieceIndex(rook, startRow, rookEndCol));
+        }
+
+        // Castling rights are copied before they change: the undo record keeps the old object
+        const homeRank = { [COLORS.WHITE]: 7, [COLORS.BLACK]: 0 };
+        const losesRights = piece.type === PIECE_TYPES.KING || (piece.type === PIECE_TYPES.ROOK && startRow === homeRank[color]) ||
+            (capturedPiece && capturedPiece.type === PIECE_TYPES.ROOK && endRow === homeRank[opponentColor]);
+        if (losesRights) {
+            const rights = { [COLORS.WHITE]: { ...this.castlingRights[COLORS.WHITE] }, [COLORS.BLACK]: { ...this.castlingRights[COLORS.BLACK] } };
+            if (piece.type === PIECE_TYPES.KING) rights[color] = { kingSide: false, queenSide: false };
+            else if (piece.type === PIECE_TYPES.ROOK && startRow === homeRank[color]) { if (startCol === 0) rights[color].queenSide = false; if (startCol === 7) rights[color].kingSide = false; }
+            if (capturedPiece && capturedPiece.type === PIECE_TYPES.ROOK && endRow === homeRank[opponentColor]) { if (endCol === 0) rights[opponentColor].queenSide = false; if (endCol === 7) rights[opponentColor].kingSide = false; }
+            this.castlingRights = rights;
+        }
+
+        this.enPassantTargetSquare = move.isDoublePawnPush ? { row: (startRow + endRow) / 2, col: startCol } : null;
+        this.halfMoveClock = (piece.type === PIECE_TYPES.PAWN || capturedPiece) ? 0 : this.halfMoveClock + 1;
+        if (color === COLORS.BLACK) this.fullMoveNumber++;
+        this.currentPlayer = opponentColor;
+        this.toggleZobristState();
     }
 
-    if (!bestMove && legalMoves.length > 0) {
-        console.warn("Minimax couldn't determine a best move (maybe all moves lead to same score?), picking first legal move.");
-        bestMove = legalMoves[0]; // Fallback
+    /** Takes back the last move played with makeSearchMove(). */
+    undoSearchMove() {
+        const record = this.searchHistory.pop();
+        const { move, piece, capturedPiece, rook } = record;
+        const board = this.boardState;
+        board[move.endRow][move.endCol] = null;
+        board[move.startRow][move.startCol] = piece;
+        if (capturedPiece) board[move.isEnPassant ? move.startRow : move.endRow][move.endCol] = capturedPiece;
+        if (rook) {
+            board[move.startRow][move.isCastling === 'kingSide' ? 5 : 3] = null;
+            board[move.startRow][move.isCastling === 'kingSide' ? 7 : 0] = rook;
+        }
+        this.currentPlayer = piece.color;
+        this.castlingRights = record.castlingRights;
+        this.enPassantTargetSquare = record.enPassantTargetSquare;
+        this.halfMoveClock = record.halfMoveClock;
+        this.fullMoveNumber = record.fullMoveNumber;
+        this.zobristHigh = record.zobristHigh;
+        this.zobristLow = record.zobristLow;
     }
 
-    console.log(`getBestMoveMinimax: Best move found: ${bestMove ? JSON.stringify(bestMove) : 'None'}, Value: ${bestValue}`);
-    return bestMove;
+    /**
+     * Whether the current position already occurred since the last capture or pawn move, compared by Zobrist key.
+     * Looks back through the search moves and then the game's own moves, so it works in the middle of a search.
+     */
+    hasRepeatedPosition() {
+        let pliesLeft = this.halfMoveClock; // Earlier positions are separated from this one by an irreversible move
+        for (const history of [this.searchHistory, this.gameStateHistory]) {
+            for (let i = history.length - 1; i >= 0 && pliesLeft > 0; i--, pliesLeft--) {
+                if (history[i].zobristHigh === this.zobristHigh && history[i].zobristLow === this.zobristLow) return true;
+            }
+        }
+        return false;
+    }
 }
 
+// --- Default Game Instance ---
+// The module-level functions below operate on one shared ChessGame so existing callers
+// (main.js, uiManager.js) keep working unchanged.
+const defaultGame = new ChessGame();
+
+function getDefaultGame() { return defaultGame; }
+function on(eventName, handler) { return defaultGame.on(eventName, handler); }
+function off(eventName, handler) { defaultGame.off(eventName, handler); }
+function initializeGame() { defaultGame.initializeGame(); }
+function getPieceAt(row, col) { return defaultGame.getPieceAt(row, col); }
+function getCurrentPlayer() { return defaultGame.getCurrentPlayer(); }
+function getBoardState() { return defaultGame.getBoardState(); }
+function getCapturedPieces() { return defaultGame.getCapturedPieces(); }
+function getMoveHistory() { return defaultGame.getMoveHistory(); }
+function getGameStatus() { return defaultGame.getGameStatus(); }
+function getHalfMoveClock() { return defaultGame.getHalfMoveClock(); }
+function getFullMoveNumber() { return defaultGame.getFullMoveNumber(); }
+function getStartingFEN() { return defaultGame.getStartingFEN(); }
+function isGameOver() { return defaultGame.isGameOver(); }
+function setAutoClaimDraws(enabled) { defaultGame.setAutoClaimDraws(enabled); }
+function loadFromFEN(fen) { defaultGame.loadFromFEN(fen); }
+function toFEN() { return defaultGame.toFEN(); }
+function createSnapshot() { return defaultGame.createSnapshot(); }
+function restoreSnapshot(snapshot) { defaultGame.restoreSnapshot(snapshot); }
+function getValidMovesForPiece(startRow, startCol) { return defaultGame.getValidMovesForPiece(startRow, startCol); }
+function getAllLegalMovesForCurrentPlayer() { return defaultGame.getAllLegalMovesForCurrentPlayer(); }
+function findLegalMove(moveText) { return defaultGame.findLegalMove(moveText); }
+function makeMove(startRow, startCol, endRow, endCol, promotionPieceType = null) { return defaultGame.makeMove(startRow, startCol, endRow, endCol, promotionPieceType); }
+function undoMove() { return defaultGame.undoMove(); }
+function flagFall(color) { return defaultGame.flagFall(color); }
+function claimDraw() { return defaultGame.claimDraw(); }
+function redoMove() { return defaultGame.redoMove(); }
+function canUndo() { return defaultGame.canUndo(); }
+function canRedo() { return defaultGame.canRedo(); }
+function getRandomMoveForComputer() { return defaultGame.getRandomMoveForComputer(); }
+function evaluateBoardMaterial() { return defaultGame.evaluateBoardMaterial(); }
+function evaluatePosition() { return defaultGame.evaluatePosition(); }
 
 // --- Export Public Functions and Constants ---
 export {
+    ChessGame,
+    getDefaultGame,
+    on,
+    off,
     initializeGame,
     getPieceAt,
     getCurrentPlayer,
@@ -585,13 +1157,31 @@ export {
     getCapturedPieces,
     getMoveHistory,
     getGameStatus,
+    getHalfMoveClock,
+    getFullMoveNumber,
+    getStartingFEN,
+    isGameOver,
+    setAutoClaimDraws,
+    loadFromFEN,
+    toFEN,
+    createSnapshot,
+    restoreSnapshot,
     getValidMovesForPiece,
+    getAllLegalMovesForCurrentPlayer,
+    findLegalMove,
     makeMove,
     undoMove,
+    redoMove,
+    flagFall,
+    claimDraw,
+    canUndo,
+    canRedo,
     getRandomMoveForComputer, // Keep random move function for potential 'Easy' mode later
     evaluateBoardMaterial,
-    minimax, // Export minimax maybe for debugging
-    getBestMoveMinimax, // Export the main AI function
+    evaluatePosition,
     PIECE_TYPES,
     COLORS,
+    DRAW_REASONS,
+    GAME_EVENTS,
+    STARTING_FEN,
 };
@@ -0,0 +1,295 @@
+// --- Position Evaluation ---
+// Pure helpers like notation.js: callers pass in the board, and piece types use the same string values
+// as chessLogic's PIECE_TYPES. Every term is scored separately for the middlegame and the endgame and then
+// blended by the game phase (tapered evaluation), so e.g. the king hides early and centralizes late.
+
+const MAX_PHASE = 24; // Phase of the starting position: 4 minors * 1 + 4 rooks * 2 + 2 queens * 4
+const PHASE_WEIGHTS = { pawn: 0, knight: 1, bishop: 1, rook: 2, queen: 4, king: 0 };
+
+// Material in centipawns as [middlegame, endgame]
+const MATERIAL = { pawn: [82, 94], knight: [337, 281], bishop: [365, 297], rook: [477, 512], queen: [1025, 936], king: [0, 0] };
+
+// Piece-square tables (PeSTO), indexed row * 8 + col as seen by White: index 0 is a8, index 63 is h1.
+// Black pieces look up the vertically mirrored square.
+const PIECE_SQUARE_TABLES = {
+    pawn: {
+        mg: [
+            0, 0, 0, 0, 0, 0, 0, 0,
+            98, 134, 61, 95, 68, 126, 34, -11,
+            -6, 7, 26, 31, 65, 56, 25, -20,
+            -14, 13, 6, 21, 23, 12, 17, -23,
+            -27, -2, -5, 12, 17, 6, 10, -25,
+            -26, -4, -4, -10, 3, 3, 33, -12,
+            -35, -1, -20, -23, -15, 24, 38, -22,
+            0, 0, 0, 0, 0, 0, 0, 0,
+        ],
+        eg: [
+            0, 0, 0, 0, 0, 0, 0, 0,
+            178, 173, 158, 134, 147, 132, 165, 187,
+            94, 100, 85, 67, 56, 53, 82, 84,
+            32, 24, 13, 5, -2, 4, 17, 17,
+            13, 9, -3, -7, -7, -8, 3, -1,
+            4, 7, -6, 1, 0, -5, -1, -8,
+            13, 8, 8, 10, 13, 0, 2, -7,
+            0, 0, 0, 0, 0, 0, 0, 0,
+        ],
+    },
+    knight: {
+        mg: [
+            -167, -89, -34, -49, 61, -97, -15, -107,
+            -73, -41, 72, 36, 23, 62, 7, -17,
+            -47, 60, 37, 65, 84, 129, 73, 44,
+            -9, 17, 19, 53, 37, 69, 18, 22,
+            -13, 4, 16, 13, 28, 19, 21, -8,
+            -23, -9, 12, 10, 19, 17, 25, -16,
+            -29, -53, -12, -3, -1, 18, -14, -19,
+            -105, -21, -58, -33, -17, -28, -19, -23,
+        ],
+        eg: [
+            -58, -38, -13, -28, -31, -27, -63, -99,
+            -25, -8, -25, -2, -9, -25, -24, -52,
+            -24, -20, 10, 9, -1, -9, -19, -41,
+            -17, 3, 22, 22, 22, 11, 8, -18,
+            -18, -6, 16, 25, 16, 17, 4, -18,
+            -23, -3, -1, 15, 10, -3, -20, -22,
+            -42, -20, -10, -5, -2, -20, -23, -44,
+            -29, -51, -23, -15, -22, -18, -50, -64,
+        ],
+    },
+    bishop: {
+        mg: [
+            -29, 4, -82, -37, -25, -42, 7, -8,
+            -26, 16, -18, -13, 30, 59, 18, -47,
+            -16, 37, 43, 40, 35, 50, 37, -2,
+            -4, 5, 19, 50, 37, 37, 7, -2,
+            -6, 13, 13, 26, 34, 12, 10, 4,
+            0, 15, 15, 15, 14, 27, 18, 10,
+            4, 15, 16, 0, 7, 21, 33, 1,
+            -33, -3, -14, -21, -13, -12, -39, -21,
+        ],
+        eg: [
+            -14, -21, -11, -8, -7, -9, -17, -24,
+            -8, -4, 7, -12, -3, -13, -4, -14,
+            2, -8, 0, -1, -2, 6, 0, 4,
+            -3, 9, 12, 9, 14, 10, 3, 2,
+            -6, 3, 13, 19, 7, 10, -3, -9,
+            -12, -3, 8, 10, 13, 3, -7, -15,
+            -14, -18, -7, -1, 4, -9, -15, -27,
+            -23, -9, -23, -5, -9, -16, -5, -17,
+        ],
+    },
+    rook: {
+        mg: [
+            32, 42, 32, 51, 63, 9, 31, 43,
+            27, 32, 58, 62, 80, 67, 26, 44,
+            -5, 19, 26, 36, 17, 45, 61, 16,
+            -24, -11, 7, 26, 24, 35, -8, -20,
+            -36, -26, -12, -1, 9, -7, 6, -23,
+            -45, -25, -16, -17, 3, 0, -5, -33,
+            -44, -16, -20, -9, -1, 11, -6, -71,
+            -19, -13, 1, 17, 16, 7, -37, -26,
+        ],
+        eg: [
+            13, 10, 18, 15, 12, 12, 8, 5,
+            11, 13, 13, 11, -3, 3, 8, 3,
+            7, 7, 7, 5, 4, -3, -5, -3,
+            4, 3, 13, 1, 2, 1, -1, 2,
+            3, 5, 8, 4, -5, -6, -8, -11,
+            -4, 0, -5, -1, -7, -12, -8, -16,
+            -6, -6, 0, 2, -9, -9, -11, -3,
+            -9, 2, 3, -1, -5, -13, 4, -20,
+        ],
+    },
+    queen: {
+        mg: [
+            -28, 0, 29, 12, 59, 44, 43, 45,
+            -24, -39, -5, 1, -16, 57, 28, 54,
+            -13, -17, 7, 8, 29, 56, 47, 57,
+            -27, -27, -16, -16, -1, 17, -2, 1,
+            -9, -26, -9, -10, -2, -4, 3, -3,
+            -14, 2, -11, -2, -5, 2, 14, 5,
+            -35, -8, 11, 2, 8, 15, -3, 1,
+            -1, -18, -9, 10, -15, -25, -31, -50,
+        ],
+        eg: [
+            -9, 22, 22, 27, 27, 19, 10, 20,
+            -17, 20, 32, 41, 58, 25, 30, 0,
+            -20, 6, 9, 49, 47, 35, 19, 9,
+            3, 22, 24, 45, 57, 40, 57, 36,
+            -18, 28, 19, 47, 31, 34, 39, 23,
+            -16, -27, 15, 6, 9, 17, 10, 5,
+            -22, -23, -30, -16, -16, -23, -36, -32,
+            -33, -28, -22, -43, -5, -32, -20, -41,
+        ],
+    },
+    king: {
+        mg: [
+            -65, 23, 16, -15, -56, -34, 2, 13,
+            29, -1, -20, -7, -8, -4, -38, -29,
+            -9, 24, 2, -16, -20, 6, 22, -22,
+            -17, -20, -12, -27, -30, -25, -14, -36,
+            -49, -1, -27, -39, -46, -44, -33, -51,
+            -14, -14, -22, -46, -44, -30, -15, -27,
+            1, 7, -8, -64, -43, -16, 9, 8,
+            -15, 36, 12, -54, 8, -28, 24, 14,
+        ],
+        eg: [
+            -74, -35, -18, -18, -11, 15, 4, -17,
+            -12, 17, 14, 17, 17, 38, 23, 11,
+            10, 17, 23, 15, 20, 45, 44, 13,
+            -8, 22, 24, 27, 26, 33, 26, 3,
+            -18, -4, 21, 24, 27, 23, 9, -11,
+            -19, -3, 11, 21, 23, 16, 7, -9,
+            -27, -11, 4, 13, 14, 4, -5, -17,
+            -53, -34, -21, -11, -28, -14, -24, -43,
+        ],
+    },
+};
+
+// Positional terms as [middlegame, endgame] centipawns
+const MOBILITY_WEIGHTS = { knight: [4, 4], bishop: [5, 5], rook: [2, 4], queen: [1, 2] }; // Per reachable square beyond the baseline
+const MOBILITY_BASELINE = { knight: 4, bishop: 6, rook: 7, queen: 13 }; // Typical square counts, so mobility scores stay centred on 0
+const DOUBLED_PAWN = [-10, -20]; // Per extra pawn on a file
+const ISOLATED_PAWN = [-12, -16];
+const PASSED_PAWN = { // Indexed by how many ranks the pawn has advanced from its starting rank
+    mg: [0, 5, 10, 15, 30, 50, 80],
+    eg: [0, 10, 20, 35, 60, 100, 150],
+};
+const BISHOP_PAIR = [30, 50];
+const ROOK_OPEN_FILE = [25, 10];
+const ROOK_SEMI_OPEN_FILE = [12, 6];
+const MISSING_SHELTER_PAWN = [-15, 0]; // Per file at or beside a king on its first two ranks (castled or not) with no own pawn one or two squares ahead; ignored in the endgame
+
+const KNIGHT_STEPS = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+const DIAGONALS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+const ORTHOGONALS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+const SLIDING_DIRECTIONS = { bishop: DIAGONALS, rook: ORTHOGONALS, queen: [...DIAGONALS, ...ORTHOGONALS] };
+
+const isOnBoard = (row, col) => row >= 0 && row < 8 && col >= 0 && col < 8;
+
+/** Counts the squares a knight or slider could move to (empty or enemy-occupied), ignoring pins and checks. */
+function countMobility(board, row, col, piece) {
+    let count = 0;
+    const countSquare = (r, c) => {
+        const target = board[r][c];
+        if (!target || target.color !== piece.color) count++;
+        return !target; // Sliders continue only across empty squares
+    };
+    if (piece.type === 'knight') {
+        for (const [dr, dc] of KNIGHT_STEPS) if (isOnBoard(row + dr, col + dc)) countSquare(row + dr, col + dc);
+        return count;
+    }
+    for (const [dr, dc] of SLIDING_DIRECTIONS[piece.type]) {
+        for (let r = row + dr, c = col + dc; isOnBoard(r, c); r += dr, c += dc) if (!countSquare(r, c)) break;
+    }
+    return count;
+}
+
+/** Pawn rows per file for one color, e.g. files[4] = [6] for a pawn on e2. */
+function collectPawnFiles(board, color) {
+    const files = Array.from({ length: 8 }, () => []);
+    for (let r = 0; r < 8; r++) for (let c = 0; c < 8; c++) {
+        const piece = board[r][c];
+        if (piece && piece.type === 'pawn' && piece.color === color) files[c].push(r);
+    }
+    return files;
+}
+
+/** Doubled, isolated and passed pawns of one color as a [mg, eg] pair. */
+function scorePawnStructure(ownFiles, enemyFiles, color) {
+    let mg = 0, eg = 0;
+    const forward = color === 'white' ? -1 : 1; // Row direction the pawns move in
+    ownFiles.forEach((rows, col) => {
+        if (rows.length > 1) { mg += DOUBLED_PAWN[0] * (rows.length - 1); eg += DOUBLED_PAWN[1] * (rows.length - 1); }
+        const hasNeighbour = (ownFiles[col - 1] || []).length > 0 || (ownFiles[col + 1] || []).length > 0;
+        for (const row of rows) {
+            if (!hasNeighbour) { mg += ISOLATED_PAWN[0]; eg += ISOLATED_PAWN[1]; }
+            const hasEnemyPawnAhead = [col - 1, col, col + 1].some(file =>
+                (enemyFiles[file] || []).some(enemyRow => (enemyRow - row) * forward > 0));
+            if (!hasEnemyPawnAhead) {
+                const advanced = color === 'white' ? 6 - row : row - 1;
+                mg += PASSED_PAWN.mg[advanced] || 0; eg += PASSED_PAWN.eg[advanced] || 0;
+            }
+        }
+    });
+    return [mg, eg];
+}
+
+/** Penalizes missing pawns on the king's file and the files beside it, for a king still on its back two ranks. */
+function scoreKingShelter(board, kingRow, kingCol, color) {
+    const forward = color === 'white' ? -1 : 1;
+    const homeRow = color === 'white' ? 7 : 0;
+    if (Math.abs(kingRow - homeRow) > 1) return [0, 0]; // A king in the open is left to the piece-square tables
+    let mg = 0, eg = 0;
+    for (let col = kingCol - 1; col <= kingCol + 1; col++) {
+        if (col < 0 || col > 7) continue;
+        const hasShield = [1, 2].some(step => {
+            const r = kingRow + forward * step;
+            const piece = isOnBoard(r, col) ? board[r][col] : null;
+            return piece && piece.type === 'pawn' && piece.color === color;
+        });
+        if (!hasShield) { mg += MISSING_SHELTER_PAWN[0]; eg += MISSING_SHELTER_PAWN[1]; }
+    }
+    return [mg, eg];
+}
+
+/**
+ * Evaluates a position statically.
+ * @param {Array<Array<?object>>} board - 8x8 board of {type, color} pieces (row 0 is rank 8).
+ * @returns {{score: number, phase: number, terms: object}} Centipawns from White's point of view (positive favours White).
+ *   phase runs from 24 (all pieces on) down to 0 (bare kings and pawns). terms holds the tapered contribution of
+ *   material, pieceSquares, mobility, pawnStructure, bishopPair, rookFiles and kingSafety; they add up to score.
+ */
+function evaluatePosition(board) {
+    const raw = {}; // term -> [mg, eg], White minus Black
+    ['material', 'pieceSquares', 'mobility', 'pawnStructure', 'bishopPair', 'rookFiles', 'kingSafety'].forEach(term => { raw[term] = [0, 0]; });
+    const add = (term, color, [mg, eg]) => {
+        const sign = color === 'white' ? 1 : -1;
+        raw[term][0] += sign * mg; raw[term][1] += sign * eg;
+    };
+    const pawnFiles = { white: collectPawnFiles(board, 'white'), black: collectPawnFiles(board, 'black') };
+    const bishopCount = { white: 0, black: 0 };
+    let phase = 0;
+
+    for (let r = 0; r < 8; r++) {
+        for (let c = 0; c < 8; c++) {
+            const piece = board[r][c];
+            if (!piece) continue;
+            const { type, color } = piece;
+            const enemy = color === 'white' ? 'black' : 'white';
+            const tableIndex = (color === 'white' ? r : 7 - r) * 8 + c;
+            phase += PHASE_WEIGHTS[type];
+            add('material', color, MATERIAL[type]);
+            add('pieceSquares', color, [PIECE_SQUARE_TABLES[type].mg[tableIndex], PIECE_SQUARE_TABLES[type].eg[tableIndex]]);
+            if (MOBILITY_WEIGHTS[type]) {
+                const extraSquares = countMobility(board, r, c, piece) - MOBILITY_BASELINE[type];
+                add('mobility', color, [MOBILITY_WEIGHTS[type][0] * extraSquares, MOBILITY_WEIGHTS[type][1] * extraSquares]);
+            }
+            if (type === 'bishop') bishopCount[color]++;
+            if (type === 'rook' && pawnFiles[color][c].length === 0) {
+                add('rookFiles', color, pawnFiles[enemy][c].length === 0 ? ROOK_OPEN_FILE : ROOK_SEMI_OPEN_FILE);
+            }
+            if (type === 'king') add('kingSafety', color, scoreKingShelter(board, r, c, color));
+        }
+    }
+    ['white', 'black'].forEach(color => {
+        const enemy = color === 'white' ? 'black' : 'white';
+        add('pawnStructure', color, scorePawnStructure(pawnFiles[color], pawnFiles[enemy], color));
+        if (bishopCount[color] >= 2) add('bishopPair', color, BISHOP_PAIR);
+    });
+
+    const taperedPhase = Math.min(phase, MAX_PHASE); // Early promotions can push the count past the start value
+    const terms = {};
+    let score = 0;
+    for (const [term, [mg, eg]] of Object.entries(raw)) {
+        terms[term] = Math.round((mg * taperedPhase + eg * (MAX_PHASE - taperedPhase)) / MAX_PHASE);
+        score += terms[term];
+    }
+    return { score, phase: taperedPhase, terms };
+}
+
+// --- Export Public Functions and Constants ---
+export {
+    evaluatePosition,
+    MAX_PHASE,
+};
@@ -0,0 +1,77 @@
+// --- Game Review ---
+// Judges the moves of a game from engine evaluations of every position it went through: a move is as good as the
+// evaluation it keeps, compared with what the engine's own move would have kept. The searching itself is done
+// by the caller (main.js runs it in the AI worker); this module only does the arithmetic.
+import { COLORS } from './chessLogic.js';
+
+// From best to worst; a move falls into the first class whose limit its evaluation loss does not exceed
+const MOVE_CLASSIFICATIONS = [
+    { key: 'best', label: 'Best', maxLossCp: 10 },
+    { key: 'good', label: 'Good', maxLossCp: 50 },
+    { key: 'inaccuracy', label: 'Inaccuracy', maxLossCp: 100 },
+    { key: 'mistake', label: 'Mistake', maxLossCp: 300 },
+    { key: 'blunder', label: 'Blunder', maxLossCp: Infinity },
+];
+
+// Mates and crushing advantages count as this much, so winning a won position slowly is not a blunder
+const EVALUATION_CAP_CP = 1000;
+
+/** Limits a centipawn score to +-EVALUATION_CAP_CP. */
+function capScore(score) {
+    return Math.max(-EVALUATION_CAP_CP, Math.min(EVALUATION_CAP_CP, score));
+}
+
+/** Chance of winning in percent for a centipawn advantage, on the logistic curve Lichess fits to its games. */
+function winPercent(scoreCp) {
+    return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * scoreCp)) - 1);
+}
+
+/**
+ * The class of a move that lost lossCp centipawns; the engine's own move is always best.
+ * @returns {object} A MOVE_CLASSIFICATIONS entry.
+ */
+function classifyMove(lossCp, isEngineMove = false) {
+    if (isEngineMove) return MOVE_CLASSIFICATIONS[0];
+    return MOVE_CLASSIFICATIONS.find(classification => lossCp <= classification.maxLossCp);
+}
+
+/**
+ * Reviews a game.
+ * @param {Array<{color: string, score: number, bestMove: ?string}>} positions - Every position of the game, from the
+ *   start to the final one: the side to move, the engine's score from that side's point of view (centipawns, mates as
+ *   in chessAI) and its best move in UCI (null when the game is over there).
+ * @param {Array<{uci: string, color: string}>} moves - The moves played, in UCI; moves[i] leads from positions[i] to positions[i + 1].
+ * @returns {{moves: Array<{classification: object, lossCp: number, accuracy: number}>, whiteScores: number[],
+ *   accuracy: Object<string, ?number>, counts: Object<string, Object<string, number>>}}
+ *   Per move its class, evaluation loss and accuracy (0-100); the capped evaluation of every position from White's
+ *   point of view; per color the average accuracy of its moves (null without moves) and how many moves fell into each class.
+ */
+function reviewMoves(positions, moves) {
+    const whiteScores = positions.map(position => capScore(position.color === COLORS.WHITE ? position.score : -position.score));
+    const reviewed = moves.map((move, index) => {
+        // The engine's own move loses nothing, even where the next, equally shallow search sees further
+        const isEngineMove = positions[index].bestMove === move.uci;
+        const before = capScore(positions[index].score); // Both from the mover's point of view
+        const after = isEngineMove ? before : capScore(-positions[index + 1].score);
+        const lossCp = Math.max(0, before - after);
+        const accuracy = 103.1668 * Math.exp(-0.04354 * Math.max(0, winPercent(before) - winPercent(after))) - 3.1669;
+        return { classification: classifyMove(lossCp, isEngineMove), lossCp, accuracy: Math.max(0, Math.min(100, accuracy)) };
+    });
+    const accuracy = {};
+    const counts = {};
+    [COLORS.WHITE, COLORS.BLACK].forEach(color => {
+        const ownMoves = reviewed.filter((_, index) => moves[index].color === color);
+        accuracy[color] = ownMoves.length ? ownMoves.reduce((sum, move) => sum + move.accuracy, 0) / ownMoves.length : null;
+        counts[color] = Object.fromEntries(MOVE_CLASSIFICATIONS.map(({ key }) => [key, ownMoves.filter(move => move.classification.key === key).length]));
+    });
+    return { moves: reviewed, whiteScores, accuracy, counts };
+}
+
+// --- Export Public Functions and Constants ---
+export {
+    reviewMoves,
+    classifyMove,
+    winPercent,
+    MOVE_CLASSIFICATIONS,
+    EVALUATION_CAP_CP,
+};
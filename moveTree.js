@@ -0,0 +1,243 @@
+// --- Move Tree ---
+// The moves of a game as a tree, so trying another move from an earlier position adds a variation instead of
+// replacing the game. Each node is one move in SAN; a node's first child continues its line (the main line, from
+// the root), later children are alternatives to that first child. The tree only records moves: legality is the
+// business of chessLogic, which always plays exactly one line of the tree - the path from the root to `current`.
+import { COLORS, STARTING_FEN } from './chessLogic.js';
+
+// Move assessment glyphs (NAGs 1-6); a move carries at most one of them
+const MOVE_ASSESSMENT_NAGS = { 1: '!', 2: '?', 3: '!!', 4: '??', 5: '!?', 6: '?!' };
+
+class MoveNode {
+    /**
+     * @param {number} id - Unique within its tree.
+     * @param {?string} san - The move in SAN; null for the root (the starting position).
+     * @param {?MoveNode} parent
+     */
+    constructor(id, san, parent) {
+        this.id = id;
+        this.san = san;
+        this.parent = parent;
+        this.children = [];
+        this.ply = parent ? parent.ply + 1 : 0; // Moves played once this move is made
+        this.comment = null; // Text shown after the move; on the root, the comment before the first move
+        this.nags = []; // Numeric Annotation Glyphs, e.g. 1 for "!"
+        this.isCollapsed = false; // Whether the variation starting with this move is folded in the move list
+    }
+}
+
+class MoveTree {
+    /** @param {string} [startingFEN] - Position before the first move, used for move numbers. */
+    constructor(startingFEN = STARTING_FEN) {
+        this.startingFEN = startingFEN;
+        this.nodesById = new Map();
+        this.nextId = 0;
+        this.root = this.createNode(null, null);
+        this.current = this.root; // Position of the game on the board
+    }
+
+    /**
+     * Builds a tree holding a single line, with `current` at its end.
+     * @param {string[]} moves - Moves in SAN, e.g. chessLogic's getMoveHistory().
+     * @param {string} [startingFEN]
+     * @returns {MoveTree}
+     */
+    static fromMoves(moves, startingFEN = STARTING_FEN) {
+        const tree = new MoveTree(startingFEN);
+        moves.forEach(san => { tree.current = tree.addMove(tree.current, san); });
+        return tree;
+    }
+
+    createNode(san, parent) {
+        const node = new MoveNode(this.nextId++, san, parent);
+        this.nodesById.set(node.id, node);
+        return node;
+    }
+
+    /** @returns {?MoveNode} The node with the given id, or null if it is not (or no longer) in the tree. */
+    getNode(id) {
+        return this.nodesById.get(id) || null;
+    }
+
+    /**
+     * Records a move played after `parent`. A move already in the tree is reused; a new move becomes the
+     * continuation if the position had none yet, and a variation otherwise.
+     * @param {MoveNode} parent
+     * @param {string} san
+     * @returns {MoveNode} The node of the move.
+     */
+    addMove(parent, san) {
+        const existing = parent.children.find(child => child.san === san);
+        if (existing) return existing;
+        const node = this.createNode(san, parent);
+        parent.children.push(node);
+        return node;
+    }
+
+    /** The moves from the starting position up to and including a node. */
+    getPath(node) {
+        const path = [];
+        for (let step = node; step.parent; step = step.parent) path.unshift(step);
+        return path;
+    }
+
+    /** The SAN moves leading to a node, as chessLogic would hold them in getMoveHistory(). */
+    getLine(node) {
+        return this.getPath(node).map(step => step.san);
+    }
+
+    /** The main line: the first child of the root, its first child, and so on. */
+    getMainLine() {
+        const line = [];
+        for (let node = this.root.children[0]; node; node = node.children[0]) line.push(node);
+        return line;
+    }
+
+    /** The last move of the main line, or the root if no move has been played. */
+    getMainLineEnd() {
+        let node = this.root;
+        while (node.children.length) node = node.children[0];
+        return node;
+    }
+
+    /** True if `node` lies on the path from the root to `descendant` (a node counts as its own ancestor). */
+    isAncestor(node, descendant) {
+        for (let step = descendant; step; step = step.parent) if (step === node) return true;
+        return false;
+    }
+
+    /**
+     * Full-move number and mover of a move, e.g. { moveNumber: 12, color: 'black' } for "12... Nf6".
+     * @param {MoveNode} node - Any node but the root.
+     */
+    getMoveNumber(node) {
+        const [, sideToMove, , , , fullMove] = this.startingFEN.split(' ');
+        const plyFromWhite = node.ply - 1 + (sideToMove === 'b' ? 1 : 0);
+        return {
+            moveNumber: (Number(fullMove) || 1) + Math.floor(plyFromWhite / 2),
+            color: plyFromWhite % 2 === 0 ? COLORS.WHITE : COLORS.BLACK,
+        };
+    }
+
+    // --- Editing ---
+
+    /**
+     * Moves the variation holding a node one place up among its alternatives; a variation moved to the top
+     * becomes the main continuation and the old one a variation.
+     * @returns {boolean} False if the node is on no variation that can move up.
+     */
+    promoteVariation(node) {
+        return this.swapWithSibling(this.findMovableLine(node, -1), -1);
+    }
+
+    /**
+     * Moves the line holding a node one place down among its alternatives, the opposite of promoteVariation().
+     * @returns {boolean} False if no line holding the node has an alternative below it.
+     */
+    demoteVariation(node) {
+        return this.swapWithSibling(this.findMovableLine(node, 1), 1);
+    }
+
+    canPromoteVariation(node) {
+        return this.findMovableLine(node, -1) !== null;
+    }
+
+    canDemoteVariation(node) {
+        return this.findMovableLine(node, 1) !== null;
+    }
+
+    /** The nearest node from `node` up to the root that has a sibling `offset` places away, or null. */
+    findMovableLine(node, offset) {
+        for (let step = node; step.parent; step = step.parent) {
+            const target = step.parent.children.indexOf(step) + offset;
+            if (target >= 0 && target < step.parent.children.length) return step;
+        }
+        return null;
+    }
+
+    swapWithSibling(node, offset) {
+        if (!node) return false;
+        const siblings = node.parent.children;
+        const index = siblings.indexOf(node);
+        [siblings[index], siblings[index + offset]] = [siblings[index + offset], siblings[index]];
+        return true;
+    }
+
+    /**
+     * Removes a move and everything played after it. If `current` was among them, it moves back to the
+     * removed move's parent.
+     * @param {MoveNode} node - Any node but the root.
+     */
+    deleteMove(node) {
+        if (!node.parent) return;
+        if (this.isAncestor(node, this.current)) this.current = node.parent;
+        node.parent.children.splice(node.parent.children.indexOf(node), 1);
+        const forget = (removed) => { this.nodesById.delete(removed.id); removed.children.forEach(forget); };
+        forget(node);
+    }
+
+    /** Sets or (with empty text) removes the comment of a move, or of the game on the root. */
+    setComment(node, text) {
+        const trimmed = (text || '').trim().replace(/\s+/g, ' ');
+        node.comment = trimmed || null;
+    }
+
+    /**
+     * Adds a NAG to a move, or removes it if the move already has it. Move assessments (1-6) replace each other.
+     * @param {MoveNode} node
+     * @param {number} nag
+     */
+    toggleNag(node, nag) {
+        if (node.nags.includes(nag)) { node.nags = node.nags.filter(other => other !== nag); return; }
+        if (MOVE_ASSESSMENT_NAGS[nag]) node.nags = node.nags.filter(other => !MOVE_ASSESSMENT_NAGS[other]);
+        node.nags.push(nag);
+    }
+
+    // --- Serialization ---
+
+    /** Plain-object copy for saving; fromJSON() rebuilds the tree, including `current`. */
+    toJSON() {
+        const serialize = (node) => ({
+            san: node.san, comment: node.comment, nags: [...node.nags], isCollapsed: node.isCollapsed,
+            children: node.children.map(serialize),
+        });
+        const currentPath = this.getPath(this.current).map(node => node.parent.children.indexOf(node));
+        return { startingFEN: this.startingFEN, root: serialize(this.root), currentPath };
+    }
+
+    /**
+     * Rebuilds a tree saved with toJSON().
+     * @param {object} data
+     * @returns {MoveTree}
+     */
+    static fromJSON(data) {
+        const tree = new MoveTree(data.startingFEN || STARTING_FEN);
+        const restore = (node, saved) => {
+            node.comment = saved.comment || null;
+            node.nags = Array.isArray(saved.nags) ? [...saved.nags] : [];
+            node.isCollapsed = !!saved.isCollapsed;
+            (saved.children || []).forEach(child => {
+                const childNode = tree.createNode(child.san, node);
+                node.children.push(childNode);
+                restore(childNode, child);
+            });
+        };
+        restore(tree.root, data.root || {});
+        (data.currentPath || []).forEach(index => { if (tree.current.children[index]) tree.current = tree.current.children[index]; });
+        return tree;
+    }
+}
+
+/** NAGs as shown after a move: move assessments as glyphs ("!?"), others as " $n", e.g. "!? $14". */
+function formatNags(nags) {
+    const assessments = nags.filter(nag => MOVE_ASSESSMENT_NAGS[nag]).map(nag => MOVE_ASSESSMENT_NAGS[nag]).join('');
+    return assessments + nags.filter(nag => !MOVE_ASSESSMENT_NAGS[nag]).map(nag => ` $${nag}`).join('');
+}
+
+// --- Export Public Classes and Functions ---
+export {
+    MoveTree,
+    MoveNode,
+    formatNags,
+    MOVE_ASSESSMENT_NAGS,
+};
@@ -0,0 +1,186 @@
+// --- Move Notation (SAN / UCI / LAN) ---
+// Pure helpers: callers pass in the board and the legal moves of the position, so this module
+// has no dependency on chessLogic.js (which imports it). Piece types use the same string values
+// as chessLogic's PIECE_TYPES.
+
+const FILES = 'abcdefgh';
+const PIECE_LETTERS = { pawn: '', knight: 'N', bishop: 'B', rook: 'R', queen: 'Q', king: 'K' };
+const LETTER_TO_PIECE = { N: 'knight', B: 'bishop', R: 'rook', Q: 'queen', K: 'king' };
+
+const SAN_PATTERN = /^([NBRQK])?([a-h])?([1-8])?(x)?([a-h][1-8])(?:=?([NBRQ]))?$/;
+const UCI_PATTERN = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/;
+const LAN_PATTERN = /^([NBRQK])?([a-h][1-8])([-x])([a-h][1-8])(?:=?([NBRQ]))?$/;
+const CASTLING_PATTERN = /^([O0])-\1(-\1)?$/;
+
+/** Converts board coordinates to a square name, e.g. (7, 4) -> "e1". */
+function squareName(row, col) {
+    return FILES[col] + (8 - row);
+}
+
+/** Converts a square name to board coordinates, e.g. "e1" -> { row: 7, col: 4 }. */
+function parseSquare(name) {
+    return { row: 8 - Number(name[1]), col: FILES.indexOf(name[0]) };
+}
+
+/** Strips check/mate markers, move suffix annotations ("+", "#", "!", "?!", ...) and a trailing "e.p.". */
+function stripSuffixes(text) {
+    return text.trim().replace(/[+#!?]+$/, '').replace(/\s*e\.p\.$/, '');
+}
+
+const isCaptureMove = (move) => !!(move.isCapture || move.isEnPassant);
+
+/**
+ * Writes a legal move in Standard Algebraic Notation, with file, rank or full-square disambiguation.
+ * @param {object} move - A legal move {startRow, startCol, endRow, endCol, promotion?, isCastling?, isCapture?, isEnPassant?}.
+ * @param {Array<Array<?object>>} board - The board before the move.
+ * @param {object[]} legalMoves - Legal moves of the position; only same-type moves to the same square matter.
+ * @param {object} [status={}] - Status after the move: { isCheck, isCheckmate } selects the "+" / "#" suffix.
+ * @returns {string}
+ */
+function moveToSAN(move, board, legalMoves, status = {}) {
+    const suffix = status.isCheckmate ? '#' : (status.isCheck ? '+' : '');
+    if (move.isCastling) return (move.isCastling === 'kingSide' ? 'O-O' : 'O-O-O') + suffix;
+
+    const piece = board[move.startRow][move.startCol];
+    const target = squareName(move.endRow, move.endCol);
+    const capture = isCaptureMove(move) ? 'x' : '';
+    if (piece.type === 'pawn') {
+        const promotion = move.promotion ? '=' + PIECE_LETTERS[move.promotion] : '';
+        return (capture ? FILES[move.startCol] : '') + capture + target + promotion + suffix;
+    }
+
+    let disambiguation = '';
+    const rivals = legalMoves.filter(other =>
+        other.endRow === move.endRow && other.endCol === move.endCol &&
+        !(other.startRow === move.startRow && other.startCol === move.startCol) &&
+        board[other.startRow][other.startCol]?.type === piece.type);
+    if (rivals.length > 0) {
+        const fileIsUnique = !rivals.some(other => other.startCol === move.startCol);
+        const rankIsUnique = !rivals.some(other => other.startRow === move.startRow);
+        if (fileIsUnique) disambiguation = FILES[move.startCol];
+        else if (rankIsUnique) disambiguation = String(8 - move.startRow);
+        else disambiguation = squareName(move.startRow, move.startCol);
+    }
+    return PIECE_LETTERS[piece.type] + disambiguation + capture + target + suffix;
+}
+
+/**
+ * Finds the legal move described by a SAN token.
+ * @param {string} san - e.g. "Nbd2", "exd6", "e8=Q+", "O-O". Annotation suffixes are ignored.
+ * @param {Array<Array<?object>>} board - The current board.
+ * @param {object[]} legalMoves - Legal moves of the current position.
+ * @returns {object} The matching entry of legalMoves.
+ * @throws {Error} If the notation is malformed, illegal or ambiguous.
+ */
+function parseSAN(san, board, legalMoves) {
+    const cleaned = stripSuffixes(san);
+    if (CASTLING_PATTERN.test(cleaned)) {
+        const side = cleaned.length > 3 ? 'queenSide' : 'kingSide';
+        const castle = legalMoves.find(move => move.isCastling === side);
+        if (!castle) throw new Error('illegal castling move');
+        return castle;
+    }
+    const match = SAN_PATTERN.exec(cleaned);
+    if (!match) throw new Error('unrecognised move notation');
+    const [, pieceLetter, fromFile, fromRank, , targetName, promotionLetter] = match;
+    const pieceType = pieceLetter ? LETTER_TO_PIECE[pieceLetter] : 'pawn';
+    const target = parseSquare(targetName);
+    const promotion = promotionLetter ? LETTER_TO_PIECE[promotionLetter] : null;
+    const candidates = legalMoves.filter(move =>
+        board[move.startRow][move.startCol]?.type === pieceType &&
+        move.endRow === target.row && move.endCol === target.col &&
+        (!fromFile || move.startCol === FILES.indexOf(fromFile)) &&
+        (!fromRank || move.startRow === 8 - Number(fromRank)) &&
+        (move.promotion || null) === promotion);
+    return pickSingleCandidate(candidates, legalMoves, target, promotion);
+}
+
+/**
+ * Finds the legal move described by a UCI string such as "e2e4" or "e7e8q".
+ * Castling is written as the king's two-square move ("e1g1").
+ * @throws {Error} If the notation is malformed or the move is illegal.
+ */
+function parseUCI(uci, legalMoves) {
+    const match = UCI_PATTERN.exec(uci.trim());
+    if (!match) throw new Error('unrecognised move notation');
+    const from = parseSquare(match[1]);
+    const target = parseSquare(match[2]);
+    const promotion = match[3] ? LETTER_TO_PIECE[match[3].toUpperCase()] : null;
+    const candidates = legalMoves.filter(move =>
+        move.startRow === from.row && move.startCol === from.col &&
+        move.endRow === target.row && move.endCol === target.col &&
+        (move.promotion || null) === promotion);
+    return pickSingleCandidate(candidates, legalMoves, target, promotion);
+}
+
+/**
+ * Finds the legal move described by long algebraic notation such as "Ng1-f3", "e4xd5", "e7-e8=Q" or "O-O".
+ * The piece letter and capture marker must agree with the position.
+ * @throws {Error} If the notation is malformed or the move is illegal.
+ */
+function parseLAN(lan, board, legalMoves) {
+    const cleaned = stripSuffixes(lan);
+    if (CASTLING_PATTERN.test(cleaned)) return parseSAN(cleaned, board, legalMoves);
+    const match = LAN_PATTERN.exec(cleaned);
+    if (!match) throw new Error('unrecognised move notation');
+    const [, pieceLetter, fromName, separator, targetName, promotionLetter] = match;
+    const from = parseSquare(fromName);
+    const piece = board[from.row][from.col];
+    if (!piece || piece.type !== (pieceLetter ? LETTER_TO_PIECE[pieceLetter] : 'pawn')) throw new Error('illegal move');
+    const move = parseUCI(fromName + targetName + (promotionLetter || '').toLowerCase(), legalMoves);
+    if ((separator === 'x') !== isCaptureMove(move)) throw new Error('illegal move');
+    return move;
+}
+
+/**
+ * Finds the legal move for a string in any supported notation (SAN, UCI or LAN).
+ * @throws {Error} If the notation is malformed, illegal or ambiguous.
+ */
+function parseMove(text, board, legalMoves) {
+    const cleaned = stripSuffixes(text);
+    if (UCI_PATTERN.test(cleaned)) return parseUCI(cleaned, legalMoves);
+    if (LAN_PATTERN.test(cleaned)) return parseLAN(cleaned, board, legalMoves);
+    return parseSAN(cleaned, board, legalMoves);
+}
+
+/** Writes a move as UCI, e.g. "e2e4" or "e7e8q". */
+function moveToUCI(move) {
+    const promotion = move.promotion ? PIECE_LETTERS[move.promotion].toLowerCase() : '';
+    return squareName(move.startRow, move.startCol) + squareName(move.endRow, move.endCol) + promotion;
+}
+
+/**
+ * Writes a legal move in long algebraic notation, e.g. "Ng1-f3", "e4xd5", "e7-e8=Q", "O-O".
+ * @param {object} move - A legal move.
+ * @param {Array<Array<?object>>} board - The board before the move.
+ * @param {object} [status={}] - Status after the move, as for moveToSAN().
+ */
+function moveToLAN(move, board, status = {}) {
+    const suffix = status.isCheckmate ? '#' : (status.isCheck ? '+' : '');
+    if (move.isCastling) return (move.isCastling === 'kingSide' ? 'O-O' : 'O-O-O') + suffix;
+    const piece = board[move.startRow][move.startCol];
+    const promotion = move.promotion ? '=' + PIECE_LETTERS[move.promotion] : '';
+    return PIECE_LETTERS[piece.type] + squareName(move.startRow, move.startCol) + (isCaptureMove(move) ? 'x' : '-') +
+        squareName(move.endRow, move.endCol) + promotion + suffix;
+}
+
+/** Returns the only candidate, or throws a descriptive error for zero or several. */
+function pickSingleCandidate(candidates, legalMoves, target, promotion) {
+    if (candidates.length === 1) return candidates[0];
+    if (candidates.length > 1) throw new Error('ambiguous move');
+    const needsPromotion = promotion === null && legalMoves.some(move => move.promotion && move.endRow === target.row && move.endCol === target.col);
+    throw new Error(needsPromotion ? 'missing promotion piece' : 'illegal move');
+}
+
+// --- Export Public Functions ---
+export {
+    moveToSAN,
+    moveToUCI,
+    moveToLAN,
+    parseSAN,
+    parseUCI,
+    parseLAN,
+    parseMove,
+    squareName,
+    parseSquare,
+};
@@ -0,0 +1,380 @@
+import { parseSAN } from './notation.js';
+import { ChessGame, getDefaultGame, STARTING_FEN, COLORS } from './chessLogic.js';
+import { MoveTree } from './moveTree.js';
+
+// --- Constants ---
+const SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+const PGN_LINE_WIDTH = 80; // The PGN standard recommends movetext lines of at most 80 characters
+const RESULT_TOKENS = ['1-0', '0-1', '1/2-1/2', '*'];
+const SUFFIX_ANNOTATION_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+
+/**
+ * Maps a game status object to a PGN game termination marker.
+ * @param {object} status - The game status object from chessLogic.getGameStatus().
+ * @returns {string} "1-0", "0-1", "1/2-1/2" or "*" for a game still in progress.
+ */
+function getResultToken(status) {
+    if (!status || !status.winner) return '*';
+    if (status.winner === COLORS.WHITE) return '1-0';
+    if (status.winner === COLORS.BLACK) return '0-1';
+    return '1/2-1/2';
+}
+
+/** Formats a Date as the PGN "YYYY.MM.DD" date tag value. */
+function formatPGNDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`;
+}
+
+/** Escapes backslashes and quotes inside a tag value. */
+function escapeTagValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * Joins tokens with single spaces, starting a new line whenever the next token would exceed the line width.
+ * @param {string[]} tokens
+ * @param {number} [width=PGN_LINE_WIDTH]
+ * @returns {string}
+ */
+function wrapTokens(tokens, width = PGN_LINE_WIDTH) {
+    const lines = [];
+    let line = '';
+    for (const token of tokens) {
+        if (line && line.length + 1 + token.length > width) { lines.push(line); line = token; }
+        else line = line ? `${line} ${token}` : token;
+    }
+    if (line) lines.push(line);
+    return lines.join('\n');
+}
+
+/**
+ * Builds the numbered movetext tokens for a list of SAN moves.
+ * A game starting with Black to move begins with "N..." as required by the standard.
+ * @param {string[]} moves - Moves in SAN, in play order.
+ * @param {string} fen - The starting position of the game.
+ * @returns {string[]}
+ */
+function buildMovetextTokens(moves, fen) {
+    const fenFields = fen.split(' ');
+    let isWhiteToMove = fenFields[1] !== 'b';
+    let moveNumber = Number(fenFields[5]) || 1;
+    const tokens = [];
+    moves.forEach((san, index) => {
+        if (isWhiteToMove) tokens.push(`${moveNumber}.`);
+        else if (index === 0) tokens.push(`${moveNumber}...`);
+        tokens.push(san);
+        if (!isWhiteToMove) moveNumber++;
+        isWhiteToMove = !isWhiteToMove;
+    });
+    return tokens;
+}
+
+/** Wraps a comment in braces, dropping any closing brace that would end it early. */
+function formatComment(comment) {
+    return `{${comment.replace(/}/g, '')}}`;
+}
+
+/**
+ * Builds the movetext tokens for a move tree: the main line with every variation in parentheses after the
+ * move it replaces, and NAGs and comments after their moves. Black moves get an "N..." number after a
+ * variation or comment, as required by the standard.
+ * @param {MoveTree} tree
+ * @returns {string[]}
+ */
+function buildTreeMovetextTokens(tree) {
+    const tokens = [];
+    const pushMove = (node, forceNumber) => {
+        const { moveNumber, color } = tree.getMoveNumber(node);
+        if (color === COLORS.WHITE) tokens.push(`${moveNumber}.`);
+        else if (forceNumber) tokens.push(`${moveNumber}...`);
+        tokens.push(node.san, ...node.nags.map(nag => `$${nag}`));
+        if (node.comment) tokens.push(...formatComment(node.comment).split(' '));
+    };
+    const pushLine = (parent, needsNumber) => {
+        for (let node = parent; node.children.length; node = node.children[0]) {
+            const [continuation, ...variations] = node.children;
+            pushMove(continuation, needsNumber);
+            needsNumber = !!continuation.comment;
+            variations.forEach(variation => {
+                tokens.push('(');
+                pushMove(variation, true);
+                pushLine(variation, !!variation.comment);
+                tokens.push(')');
+                needsNumber = true;
+            });
+        }
+    };
+    if (tree.root.comment) tokens.push(...formatComment(tree.root.comment).split(' '));
+    pushLine(tree.root, true);
+    // Glue parentheses to their neighbours, as in "(3... Nf6 4. O-O)"
+    return tokens.reduce((joined, token) => {
+        if (token === ')' && joined.length) joined[joined.length - 1] += ')';
+        else if (joined[joined.length - 1] === '(') joined[joined.length - 1] += token;
+        else joined.push(token);
+        return joined;
+    }, []);
+}
+
+/**
+ * Writes the current game as PGN text.
+ * The Seven Tag Roster is always emitted in its standard order; values not supplied fall back to sensible defaults.
+ * Games that did not start from the standard position also get SetUp and FEN tags.
+ * @param {object} [headers={}] - Tag values to use, e.g. { White: 'Alice', Black: 'CPU' }. Extra tags are written after the roster.
+ *   A Result tag is only used when the game itself has no result (e.g. a resignation recorded in an imported file).
+ * @param {object} [annotations={}] - Annotations carried over from an imported game.
+ * @param {MoveTree} [annotations.moveTree] - Moves with variations, comments and NAGs; when given, the movetext is
+ *   written from the tree's main line and variations instead of the game's moves, and the other annotations are ignored.
+ * @param {string} [annotations.preComment] - Comment placed before the first move.
+ * @param {Array<{comment: ?string, nags: number[]}>} [annotations.moves] - Per-move comments and NAGs, indexed like getMoveHistory().
+ * @param {ChessGame} [game] - The game to write; defaults to the shared game shown on the board.
+ * @returns {string} The PGN text, ending with a newline.
+ */
+function exportPGN(headers = {}, annotations = {}, game = getDefaultGame()) {
+    const statusResult = getResultToken(game.getGameStatus());
+    const result = statusResult === '*' && RESULT_TOKENS.includes(headers.Result) ? headers.Result : statusResult;
+    const startFEN = game.getStartingFEN() || STARTING_FEN;
+    const tags = {
+        Event: 'Casual Game',
+        Site: '3D Realistic Chess',
+        Date: formatPGNDate(new Date()),
+        Round: '-',
+        White: '?',
+        Black: '?',
+        ...headers,
+        Result: result,
+    };
+    if (startFEN !== STARTING_FEN) { tags.SetUp = '1'; tags.FEN = startFEN; }
+
+    const tagNames = [...SEVEN_TAG_ROSTER, ...Object.keys(tags).filter(name => !SEVEN_TAG_ROSTER.includes(name))];
+    const tagSection = tagNames.map(name => `[${name} "${escapeTagValue(tags[name])}"]`).join('\n');
+    if (annotations.moveTree) {
+        const movetext = wrapTokens([...buildTreeMovetextTokens(annotations.moveTree), result]);
+        return `${tagSection}\n\n${movetext}\n`;
+    }
+    const moveAnnotations = annotations.moves || [];
+    const annotatedMoves = game.getMoveHistory().map((san, index) => {
+        const annotation = moveAnnotations[index];
+        if (!annotation) return san;
+        const nagText = (annotation.nags || []).map(nag => ` $${nag}`).join('');
+        return san + nagText + (annotation.comment ? ` ${formatComment(annotation.comment)}` : '');
+    });
+    const tokens = buildMovetextTokens(annotatedMoves, startFEN).flatMap(token => token.split(' '));
+    if (annotations.preComment) tokens.unshift(...formatComment(annotations.preComment).split(' '));
+    const movetext = wrapTokens([...tokens, result]);
+    return `${tagSection}\n\n${movetext}\n`;
+}
+
+// --- PGN Import ---
+
+/**
+ * Splits PGN text into games. Tag pairs, comments, NAGs, move suffix annotations (!, ?, !?, ...) and recursive
+ * annotation variations are kept. Each game carries its moves as a MoveTree (with `current` at the end of the
+ * main line), and its main line also as a plain list.
+ * @param {string} text - The contents of a .pgn file, which may hold several games.
+ * @returns {Array<{headers: object, preComment: ?string, moves: Array<{san: string, comment: ?string, nags: number[]}>, moveTree: MoveTree, result: string}>}
+ */
+function parsePGN(text) {
+    const games = [];
+    const newGame = () => ({ headers: {}, preComment: null, moves: [], moveTree: new MoveTree(), result: '*' });
+    let game = newGame();
+    let cursor = game.moveTree.root; // The move the next move is played after
+    let variationStack = []; // Cursors to return to at the end of each open variation
+    let variationComment = null; // Comment at the start of a variation, kept for its first move
+    let isAtVariationStart = false;
+    const joinComments = (first, second) => (first && second ? `${first} ${second}` : first || second);
+    const finishGame = () => {
+        const tree = game.moveTree;
+        if (tree.root.children.length || Object.keys(game.headers).length) {
+            tree.startingFEN = game.headers.FEN || STARTING_FEN;
+            tree.current = tree.getMainLineEnd();
+            Object.assign(game, describeMainLine(tree));
+            games.push(game);
+        }
+        game = newGame();
+        cursor = game.moveTree.root;
+        variationStack = [];
+        variationComment = null;
+        isAtVariationStart = false;
+    };
+    const addComment = (comment) => {
+        const trimmed = comment.trim().replace(/\s+/g, ' ');
+        if (!trimmed) return;
+        if (isAtVariationStart) variationComment = joinComments(variationComment, trimmed);
+        else cursor.comment = joinComments(cursor.comment, trimmed); // On the root, this is the comment before the first move
+    };
+
+    const source = text.replace(/\r\n?/g, '\n').replace(/^%.*$/gm, ''); // '%' lines are escape lines
+    let i = 0;
+    while (i < source.length) {
+        const ch = source[i];
+        if (/\s/.test(ch)) { i++; continue; }
+        if (ch === '[') {
+            const match = /^\[\s*([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]/.exec(source.slice(i));
+            if (!match) throw new Error(`Invalid PGN: malformed tag pair near "${source.slice(i, i + 30)}".`);
+            if (game.moveTree.root.children.length) finishGame(); // A tag section after movetext starts the next game
+            game.headers[match[1]] = match[2].replace(/\\(.)/g, '$1');
+            i += match[0].length;
+            continue;
+        }
+        if (ch === '{') {
+            const end = source.indexOf('}', i);
+            if (end === -1) throw new Error("Invalid PGN: unterminated '{' comment.");
+            addComment(source.slice(i + 1, end));
+            i = end + 1;
+            continue;
+        }
+        if (ch === ';') {
+            const end = source.indexOf('\n', i);
+            addComment(source.slice(i + 1, end === -1 ? source.length : end));
+            i = end === -1 ? source.length : end + 1;
+            continue;
+        }
+        if (ch === '(') {
+            // A variation replaces the move just played, so it starts from the position before it
+            variationStack.push(cursor);
+            cursor = cursor.parent || cursor;
+            isAtVariationStart = true;
+            i++;
+            continue;
+        }
+        if (ch === ')') {
+            if (variationStack.length) cursor = variationStack.pop();
+            isAtVariationStart = false;
+            variationComment = null;
+            i++;
+            continue;
+        }
+
+        const tokenMatch = /^[^\s{};()[\]]+/.exec(source.slice(i));
+        if (!tokenMatch) throw new Error(`Invalid PGN: unexpected '${ch}'.`); // A stray '}' or ']'
+        let token = tokenMatch[0];
+        i += token.length;
+        if (RESULT_TOKENS.includes(token)) {
+            if (variationStack.length === 0) { game.result = token; finishGame(); }
+            continue;
+        }
+        if (token[0] === '$') {
+            if (cursor.parent && /^\$\d+$/.test(token) && !cursor.nags.includes(Number(token.slice(1)))) cursor.nags.push(Number(token.slice(1)));
+            continue;
+        }
+        if (/^\d+\.*$/.test(token)) continue; // Move number indication
+        token = token.replace(/^\d+\.+/, ''); // Move number glued to the move, as in "1.e4"
+        if (!token) continue;
+        const suffix = /[!?]+$/.exec(token);
+        if (suffix) token = token.slice(0, -suffix[0].length);
+        if (!token) continue;
+        cursor = game.moveTree.addMove(cursor, token);
+        if (suffix && SUFFIX_ANNOTATION_NAGS[suffix[0]] && !cursor.nags.includes(SUFFIX_ANNOTATION_NAGS[suffix[0]])) cursor.nags.push(SUFFIX_ANNOTATION_NAGS[suffix[0]]);
+        if (isAtVariationStart) {
+            cursor.comment = joinComments(variationComment, cursor.comment);
+            variationComment = null;
+            isAtVariationStart = false;
+        }
+    }
+    finishGame();
+    return games;
+}
+
+/** The main line of a move tree in the plain form of parsePGN() games: { preComment, moves }. */
+function describeMainLine(tree) {
+    return {
+        preComment: tree.root.comment,
+        moves: tree.getMainLine().map(node => ({ san: node.san, comment: node.comment, nags: [...node.nags] })),
+    };
+}
+
+/** Formats the move number prefix used in import error messages, e.g. "12." or "12...". */
+function describeMoveNumber(game) {
+    return `${game.getFullMoveNumber()}${game.getCurrentPlayer() === COLORS.WHITE ? '.' : '...'}`;
+}
+
+/**
+ * Replaces a game with a parsed PGN game by replaying its moves from the start position
+ * (the FEN tag when present, otherwise the standard starting position).
+ * The moves are replayed on a scratch game first, so the target only changes (with a single 'reset' event) on success.
+ * @param {object} pgnGame - A game object from parsePGN().
+ * @param {number} [gameNumber=1] - The 1-based position of the game in its file, used in error messages.
+ * @param {ChessGame} [game] - The game to replace; defaults to the shared game shown on the board.
+ * @throws {Error} Naming the game number and move number of the first illegal or ambiguous move.
+ */
+function loadPGNGame(pgnGame, gameNumber = 1, game = getDefaultGame()) {
+    const replayGame = createReplayGame(pgnGame, gameNumber);
+    pgnGame.moves.forEach(({ san }) => playPGNMove(replayGame, san, gameNumber));
+    game.restoreSnapshot(replayGame.createSnapshot());
+}
+
+/**
+ * Creates the scratch game a parsed PGN game is replayed on, at its start position. It is quiet and never
+ * auto-claims draws, since recorded games may play on past a claimable one.
+ * @throws {Error} Naming the game number when the FEN tag is malformed.
+ */
+function createReplayGame(pgnGame, gameNumber) {
+    const game = new ChessGame(null, { verbose: false });
+    game.setAutoClaimDraws(false);
+    if (pgnGame.headers.FEN) {
+        try { game.loadFromFEN(pgnGame.headers.FEN); }
+        catch (error) { throw new Error(`Game ${gameNumber}: ${error.message}`); }
+    }
+    return game;
+}
+
+/**
+ * Plays one SAN move of a PGN game.
+ * @param {string} [moveKind='move'] - How error messages name the move, e.g. 'variation move'.
+ * @returns {object} The makeMove() result.
+ * @throws {Error} Naming the game number and move number when the move is illegal or ambiguous.
+ */
+function playPGNMove(game, san, gameNumber, moveKind = 'move') {
+    const moveLabel = `${moveKind} ${describeMoveNumber(game)} ${san}`;
+    let move;
+    try { move = parseSAN(san, game.getBoardState(), game.getAllLegalMovesForCurrentPlayer()); }
+    catch (error) { throw new Error(`Game ${gameNumber}, ${moveLabel}: ${error.message}.`); }
+    const result = game.makeMove(move.startRow, move.startCol, move.endRow, move.endCol, move.promotion);
+    if (!result.success) throw new Error(`Game ${gameNumber}, ${moveLabel}: move was rejected.`);
+    return result;
+}
+
+/**
+ * Plays every move of a parsed game's tree, variations included, on a scratch game, rewriting each move in the
+ * SAN chessLogic produces (so "Ngf3" where no other knight can go there becomes "Nf3", as the live game would record it).
+ * @throws {Error} Naming the game number and move number of the first illegal or ambiguous move.
+ */
+function checkMoveTree(pgnGame, gameNumber) {
+    const game = createReplayGame(pgnGame, gameNumber);
+    const visit = (parent, isVariation) => {
+        parent.children.forEach((node, index) => {
+            const inVariation = isVariation || index > 0;
+            node.san = playPGNMove(game, node.san, gameNumber, inVariation ? 'variation move' : 'move').moveNotation;
+            visit(node, inVariation);
+            game.undoMove();
+        });
+    };
+    visit(pgnGame.moveTree.root, false);
+    Object.assign(pgnGame, describeMainLine(pgnGame.moveTree));
+}
+
+/**
+ * Parses PGN text and checks that every game in it, variations included, replays legally.
+ * The games are replayed on a scratch ChessGame, so the game on the board is never touched.
+ * @param {string} text - The contents of a .pgn file.
+ * @returns {object[]} The parsed games (see parsePGN()), ready for loadPGNGame().
+ * @throws {Error} If the text holds no games or any game contains an illegal or ambiguous move.
+ */
+function importPGN(text) {
+    const games = parsePGN(text);
+    if (games.length === 0) throw new Error("Invalid PGN: no games found.");
+    games.forEach((pgnGame, index) => checkMoveTree(pgnGame, index + 1));
+    return games;
+}
+
+// --- Export Public Functions ---
+export {
+    exportPGN,
+    importPGN,
+    parsePGN,
+    loadPGNGame,
+    getResultToken,
+    formatPGNDate,
+    wrapTokens,
+};
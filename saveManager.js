@@ -0,0 +1,90 @@
+// --- Saved Games ---
+// Named save slots kept in localStorage, one key per slot plus an index of slot names, so a damaged or oversized
+// slot never takes the others with it. What a save holds is up to the caller (main.js builds and applies it);
+// this module only stamps, stores, lists and validates it.
+
+const SAVE_FORMAT_VERSION = 1;
+const SLOT_KEY_PREFIX = 'chess3d.save.';
+const INDEX_KEY = 'chess3d.saveIndex';
+const AUTOSAVE_SLOT = 'Autosave'; // Overwritten after every move
+
+function readIndex() {
+    try {
+        const index = JSON.parse(localStorage.getItem(INDEX_KEY));
+        return Array.isArray(index) ? index : [];
+    } catch (error) {
+        console.warn("Saved games index is unreadable, starting a new one:", error);
+        return [];
+    }
+}
+
+function writeIndex(index) {
+    localStorage.setItem(INDEX_KEY, JSON.stringify(index));
+}
+
+/**
+ * Stores a game under a slot name, replacing any save of the same name.
+ * @param {string} slotName
+ * @param {object} data - JSON-serializable game data; a summary string (data.summary) is shown in slot lists.
+ * @returns {boolean} False if storage is unavailable or full.
+ */
+function saveGame(slotName, data) {
+    const name = String(slotName).trim();
+    if (!name) { console.warn("Cannot save a game without a name."); return false; }
+    const save = { ...data, version: SAVE_FORMAT_VERSION, name, savedAt: new Date().toISOString() };
+    try {
+        localStorage.setItem(SLOT_KEY_PREFIX + name, JSON.stringify(save));
+        const index = readIndex().filter(entry => entry.name !== name);
+        index.push({ name, savedAt: save.savedAt, summary: save.summary || '' });
+        writeIndex(index);
+        return true;
+    } catch (error) {
+        console.warn(`Could not save game "${name}":`, error);
+        return false;
+    }
+}
+
+/**
+ * Reads a saved game.
+ * @param {string} slotName
+ * @returns {?object} The data passed to saveGame() plus version, name and savedAt, or null if missing or unreadable.
+ */
+function loadGame(slotName) {
+    try {
+        const save = JSON.parse(localStorage.getItem(SLOT_KEY_PREFIX + slotName));
+        if (!save) return null;
+        if (save.version !== SAVE_FORMAT_VERSION) { console.warn(`Save "${slotName}" has unsupported format version ${save.version}.`); return null; }
+        return save;
+    } catch (error) {
+        console.warn(`Could not read saved game "${slotName}":`, error);
+        return null;
+    }
+}
+
+/** Removes a save slot. */
+function deleteSave(slotName) {
+    try {
+        localStorage.removeItem(SLOT_KEY_PREFIX + slotName);
+        writeIndex(readIndex().filter(entry => entry.name !== slotName));
+    } catch (error) {
+        console.warn(`Could not delete saved game "${slotName}":`, error);
+    }
+}
+
+/**
+ * Lists the save slots, newest first.
+ * @returns {Array<{name: string, savedAt: string, summary: string}>}
+ */
+function listSaves() {
+    try { return readIndex().sort((a, b) => b.savedAt.localeCompare(a.savedAt)); }
+    catch (error) { return []; }
+}
+
+// --- Export Public Functions and Constants ---
+export {
+    saveGame,
+    loadGame,
+    deleteSave,
+    listSaves,
+    AUTOSAVE_SLOT,
+};
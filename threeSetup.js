@@ -7,6 +7,12 @@ const BOARD_SIZE = 8;
 const SQUARE_SIZE = 5;
 const BOARD_THICKNESS = 1;
 const HIGHLIGHT_COLOR = 0x61dafb;
+const HINT_COLOR = 0xffc107;
+const ARROW_COLOR = 0x4caf50; // Suggested moves, e.g. the engine's choice in the game review
+const DRAG_LIFT_HEIGHT = SQUARE_SIZE * 0.5; // How far a dragged piece floats above the board
+const PIECE_RETURN_DURATION_MS = 200; // Animation time for a piece sliding back after an illegal drop
+const CAMERA_DISTANCE = SQUARE_SIZE * BOARD_SIZE * 0.6; // Height and horizontal distance of the starting camera
+const CAMERA_TURN_DURATION_MS = 900; // Time the camera takes to swing round to the other side of the board
 const CHESS_SET_MODEL_PATH = 'models/low_poly_chess_set (1).glb'; // Make sure this matches!
 
 // --- Materials ---
@@ -15,12 +21,16 @@ const darkSquareMaterial = new THREE.MeshStandardMaterial({ color: 0x7b5b3f, met
 const whitePieceMaterial = new THREE.MeshStandardMaterial({ color: 0xf0f0f0, metalness: 0.1, roughness: 0.2, name: 'whiteMat' });
 const blackPieceMaterial = new THREE.MeshStandardMaterial({ color: 0x1a1a1a, metalness: 0.3, roughness: 0.4, name: 'blackMat' });
 const highlightMaterial = new THREE.MeshStandardMaterial({ color: HIGHLIGHT_COLOR, transparent: true, opacity: 0.4, roughness: 0.5, side: THREE.DoubleSide });
+const hintMaterial = new THREE.MeshStandardMaterial({ color: HINT_COLOR, transparent: true, opacity: 0.55, roughness: 0.5, side: THREE.DoubleSide });
+const arrowMaterial = new THREE.MeshBasicMaterial({ color: ARROW_COLOR, transparent: true, opacity: 0.75, depthTest: false, side: THREE.DoubleSide }); // Drawn over the pieces
 
 // --- Scene Variables ---
 let scene, camera, renderer, controls;
-let boardGroup, pieceGroup, highlightGroup; // pieceGroup is defined here
+let boardGroup, pieceGroup, highlightGroup, hintGroup, arrowGroup; // pieceGroup is defined here
 let pieceMeshReferences = { pawn: null, rook: null, knight: null, bishop: null, queen: null, king: null };
 let modelsLoaded = false;
+const pieceAnimations = new Map(); // piece group -> { from, to, startTime, duration } for pieces sliding to a square
+let cameraAnimation = null; // { fromAngle, deltaAngle, startTime, duration } while the camera swings round the board
 
 // --- Function to Load 3D Models ---
 function loadModels(onLoadedCallback) { /* ... (same as before) ... */
@@ -46,10 +56,16 @@ function loadModels(onLoadedCallback) { /* ... (same as before) ... */
 }
 
 // --- Public Functions ---
-function init(container, onReadyCallback) { /* ... (same as before) ... */
+/**
+ * Creates the scene, camera, lights and board, then loads the piece models.
+ * @param {HTMLElement} container - Element the canvas is added to.
+ * @param {Function} onReadyCallback - Called once the models have loaded (or failed to).
+ * @param {boolean} [viewFromBlack=false] - Start the camera behind Black's pieces instead of White's.
+ */
+function init(container, onReadyCallback, viewFromBlack = false) {
     scene = new THREE.Scene(); scene.background = new THREE.Color(0x282c34);
     const aspect = window.innerWidth / window.innerHeight; camera = new THREE.PerspectiveCamera(60, aspect, 0.1, 1000);
-    camera.position.set(0, SQUARE_SIZE * BOARD_SIZE * 0.6, SQUARE_SIZE * BOARD_SIZE * 0.6); camera.lookAt(0, 0, 0);
+    camera.position.set(0, CAMERA_DISTANCE, viewFromBlack ? -CAMERA_DISTANCE : CAMERA_DISTANCE); camera.lookAt(0, 0, 0);
     renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true }); renderer.setSize(window.innerWidth, window.innerHeight); renderer.setPixelRatio(window.devicePixelRatio);
     renderer.shadowMap.enabled = true; renderer.shadowMap.type = THREE.PCFSoftShadowMap; container.appendChild(renderer.domElement);
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.7); scene.add(ambientLight);
@@ -57,7 +73,7 @@ function init(container, onReadyCallback) { /* ... (same as before) ... */
     directionalLight.shadow.mapSize.width = 2048; directionalLight.shadow.mapSize.height = 2048; const shadowCamSize = SQUARE_SIZE * BOARD_SIZE * 0.6;
     directionalLight.shadow.camera.near = 0.5; directionalLight.shadow.camera.far = 100; directionalLight.shadow.camera.left = -shadowCamSize; directionalLight.shadow.camera.right = shadowCamSize; directionalLight.shadow.camera.top = shadowCamSize; directionalLight.shadow.camera.bottom = -shadowCamSize; directionalLight.shadow.bias = -0.001; scene.add(directionalLight);
     controls = new OrbitControls(camera, renderer.domElement); controls.target.set(0, 0, 0); controls.enableDamping = true; controls.dampingFactor = 0.05; controls.screenSpacePanning = false; controls.minDistance = SQUARE_SIZE * 1.5; controls.maxDistance = SQUARE_SIZE * BOARD_SIZE * 1.5; controls.maxPolarAngle = Math.PI / 2.05;
-    boardGroup = new THREE.Group(); pieceGroup = new THREE.Group(); highlightGroup = new THREE.Group(); scene.add(boardGroup); scene.add(pieceGroup); scene.add(highlightGroup); createBoard(); window.addEventListener('resize', onWindowResize, false); animate(); console.log("Three.js scene initialized. Starting model load..."); loadModels(() => { console.log("Model loading complete callback received."); if (onReadyCallback) { onReadyCallback(); } });
+    boardGroup = new THREE.Group(); pieceGroup = new THREE.Group(); highlightGroup = new THREE.Group(); hintGroup = new THREE.Group(); arrowGroup = new THREE.Group(); scene.add(boardGroup); scene.add(pieceGroup); scene.add(highlightGroup); scene.add(hintGroup); scene.add(arrowGroup); createBoard(); window.addEventListener('resize', onWindowResize, false); animate(); console.log("Three.js scene initialized. Starting model load..."); loadModels(() => { console.log("Model loading complete callback received."); if (onReadyCallback) { onReadyCallback(); } });
 }
 function createBoard() { /* ... (same as before) ... */
     const boardBaseGeometry = new THREE.BoxGeometry(BOARD_SIZE * SQUARE_SIZE, BOARD_THICKNESS, BOARD_SIZE * SQUARE_SIZE); const boardBaseMaterial = new THREE.MeshStandardMaterial({ color: 0x5c3e31, roughness: 0.8 }); const boardBaseMesh = new THREE.Mesh(boardBaseGeometry, boardBaseMaterial); boardBaseMesh.position.y = -BOARD_THICKNESS / 2; boardBaseMesh.receiveShadow = true; boardGroup.add(boardBaseMesh); const squareGeometry = new THREE.PlaneGeometry(SQUARE_SIZE, SQUARE_SIZE); for (let row = 0; row < BOARD_SIZE; row++) { for (let col = 0; col < BOARD_SIZE; col++) { const isLightSquare = (row + col) % 2 === 0; const squareMaterial = isLightSquare ? lightSquareMaterial : darkSquareMaterial; const squareMesh = new THREE.Mesh(squareGeometry, squareMaterial); squareMesh.position.x = (col - BOARD_SIZE / 2 + 0.5) * SQUARE_SIZE; squareMesh.position.z = (row - BOARD_SIZE / 2 + 0.5) * SQUARE_SIZE; squareMesh.position.y = 0.01; squareMesh.rotation.x = -Math.PI / 2; squareMesh.receiveShadow = true; squareMesh.userData = { type: 'square', row: row, col: col }; boardGroup.add(squareMesh); } } console.log("Chessboard created.");
@@ -82,17 +98,24 @@ function movePieceMesh(pieceMeshGroup, newRow, newCol) { /* ... (same as before)
 function removePieceMesh(pieceMeshGroup) { /* ... (same as before) ... */ if (pieceMeshGroup) { pieceMeshGroup.traverse((child) => { if (child instanceof THREE.Mesh) { if (child.geometry) child.geometry.dispose(); } }); pieceGroup.remove(pieceMeshGroup); } }
 function showHighlights(squares) { /* ... (same as before) ... */ clearHighlights(); const highlightGeometry = new THREE.PlaneGeometry(SQUARE_SIZE * 0.9, SQUARE_SIZE * 0.9); squares.forEach(sq => { const highlightMesh = new THREE.Mesh(highlightGeometry, highlightMaterial); const pos = getPositionFromCoords(sq.row, sq.col); highlightMesh.position.set(pos.x, 0.02, pos.z); highlightMesh.rotation.x = -Math.PI / 2; highlightMesh.userData = { type: 'highlight', row: sq.row, col: sq.col }; highlightGroup.add(highlightMesh); }); }
 function clearHighlights() { /* ... (same as before) ... */ highlightGroup.clear(); }
-function animate() { /* ... (same as before) ... */ requestAnimationFrame(animate); controls.update(); renderer.render(scene, camera); }
+function animate() { /* ... (same as before) ... */ requestAnimationFrame(animate); updatePieceAnimations(performance.now()); updateCameraAnimation(performance.now()); controls.update(); renderer.render(scene, camera); }
 function onWindowResize() { /* ... (same as before) ... */ camera.aspect = window.innerWidth / window.innerHeight; camera.updateProjectionMatrix(); renderer.setSize(window.innerWidth, window.innerHeight); }
 
 // --- Raycasting ---
 const raycaster = new THREE.Raycaster();
 const mouse = new THREE.Vector2(); // Defined globally
 
-/** Raycasting - Finds intersected objects. */
-function getIntersects(event) { /* ... (same as before, logs removed) ... */
+const boardPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0); // The board surface (y = 0)
+
+/** Aims the raycaster from the camera through the pointer position of a mouse/pointer event. */
+function setRayFromEvent(event) {
     mouse.x = (event.clientX / window.innerWidth) * 2 - 1; mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
     raycaster.setFromCamera(mouse, camera);
+}
+
+/** Raycasting - Finds intersected objects. */
+function getIntersects(event) { /* ... (same as before, logs removed) ... */
+    setRayFromEvent(event);
     const objectsToIntersect = [...pieceGroup.children, ...boardGroup.children, ...highlightGroup.children];
     const intersects = raycaster.intersectObjects(objectsToIntersect, true);
     const relevantIntersects = [];
@@ -105,11 +128,170 @@ function getIntersects(event) { /* ... (same as before, logs removed) ... */
     return relevantIntersects;
 }
 
+/**
+ * Finds where the pointer ray meets the board plane, even outside the squares or over other pieces.
+ * @param {MouseEvent|PointerEvent} event
+ * @returns {?THREE.Vector3} The point on the plane, or null when the ray points away from it.
+ */
+function getBoardPlanePoint(event) {
+    setRayFromEvent(event);
+    return raycaster.ray.intersectPlane(boardPlane, new THREE.Vector3());
+}
+
+// --- Camera ---
+
+/**
+ * Puts the camera back in its starting spot behind one side's pieces (White sits on the +z edge, Black on -z).
+ * @param {boolean} viewFromBlack
+ */
+function setCameraSide(viewFromBlack) {
+    if (!camera || !controls) return;
+    cameraAnimation = null;
+    camera.position.set(0, CAMERA_DISTANCE, viewFromBlack ? -CAMERA_DISTANCE : CAMERA_DISTANCE);
+    controls.target.set(0, 0, 0);
+    controls.update();
+}
+
+/**
+ * Swings the camera round the board until it is behind one side's pieces, keeping its current height and
+ * distance, e.g. to face the player to move in a two-player game. Zoom and tilt chosen by the players are kept.
+ * @param {boolean} viewFromBlack
+ * @param {number} [durationMs=CAMERA_TURN_DURATION_MS]
+ */
+function rotateCameraToSide(viewFromBlack, durationMs = CAMERA_TURN_DURATION_MS) {
+    if (!camera || !controls) return;
+    const offset = camera.position.clone().sub(controls.target);
+    const fromAngle = Math.atan2(offset.x, offset.z); // 0 behind White (+z), PI behind Black
+    const toAngle = viewFromBlack ? Math.PI : 0;
+    const deltaAngle = THREE.MathUtils.euclideanModulo(toAngle - fromAngle + Math.PI, Math.PI * 2) - Math.PI; // Shorter way round
+    if (Math.abs(deltaAngle) < 1e-3) { cameraAnimation = null; return; }
+    cameraAnimation = { fromAngle, deltaAngle, startTime: performance.now(), duration: durationMs };
+}
+
+/** Advances a running camera swing; called every frame from animate(). */
+function updateCameraAnimation(now) {
+    if (!cameraAnimation) return;
+    const progress = Math.min((now - cameraAnimation.startTime) / cameraAnimation.duration, 1);
+    const eased = progress < 0.5 ? 4 * progress ** 3 : 1 - Math.pow(-2 * progress + 2, 3) / 2; // Ease-in-out cubic
+    const angle = cameraAnimation.fromAngle + cameraAnimation.deltaAngle * eased;
+    const target = controls.target;
+    const horizontalDistance = Math.hypot(camera.position.x - target.x, camera.position.z - target.z);
+    camera.position.x = target.x + horizontalDistance * Math.sin(angle);
+    camera.position.z = target.z + horizontalDistance * Math.cos(angle);
+    camera.lookAt(target);
+    if (progress >= 1) cameraAnimation = null;
+}
+
+// --- Dragging and Piece Animation ---
+
+/** Turns the orbit camera controls on or off, e.g. so dragging a piece does not also spin the camera. */
+function setControlsEnabled(enabled) {
+    if (controls) controls.enabled = enabled;
+}
+
+/** Raises a piece off the board at the start of a drag. */
+function liftPiece(pieceMeshGroup) {
+    pieceAnimations.delete(pieceMeshGroup);
+    pieceMeshGroup.position.y = DRAG_LIFT_HEIGHT;
+}
+
+/** Moves a lifted piece over a point of the board plane, keeping it within the board's edges. */
+function dragPieceTo(pieceMeshGroup, point) {
+    const limit = (BOARD_SIZE / 2) * SQUARE_SIZE;
+    pieceMeshGroup.position.x = THREE.MathUtils.clamp(point.x, -limit, limit);
+    pieceMeshGroup.position.z = THREE.MathUtils.clamp(point.z, -limit, limit);
+}
+
+/**
+ * Slides a piece back down onto a square. Only the mesh moves; its row/col userData is left alone,
+ * so this is for visual moves such as returning a piece after an illegal drop.
+ * @param {THREE.Group} pieceMeshGroup
+ * @param {number} row
+ * @param {number} col
+ * @param {number} [durationMs=PIECE_RETURN_DURATION_MS] - 0 places the piece immediately.
+ */
+function animatePieceTo(pieceMeshGroup, row, col, durationMs = PIECE_RETURN_DURATION_MS) {
+    const target = getPositionFromCoords(row, col);
+    if (durationMs <= 0) { pieceAnimations.delete(pieceMeshGroup); pieceMeshGroup.position.copy(target); return; }
+    pieceAnimations.set(pieceMeshGroup, { from: pieceMeshGroup.position.clone(), to: target, startTime: performance.now(), duration: durationMs });
+}
+
+/** Advances running piece animations; called every frame from animate(). */
+function updatePieceAnimations(now) {
+    for (const [pieceMeshGroup, animation] of pieceAnimations) {
+        const progress = Math.min((now - animation.startTime) / animation.duration, 1);
+        const eased = 1 - Math.pow(1 - progress, 3); // Ease-out cubic
+        pieceMeshGroup.position.lerpVectors(animation.from, animation.to, eased);
+        if (progress >= 1 || !pieceMeshGroup.parent) pieceAnimations.delete(pieceMeshGroup);
+    }
+}
+
+/**
+ * Marks squares for a hint, like showHighlights() but in the hint color, replacing any hint shown before.
+ * The marks are not raycast targets and survive clearHighlights(), so selecting a piece keeps them.
+ * @param {Array<{row: number, col: number}>} squares
+ */
+function showHintHighlights(squares) {
+    clearHintHighlights();
+    const hintGeometry = new THREE.PlaneGeometry(SQUARE_SIZE * 0.9, SQUARE_SIZE * 0.9);
+    squares.forEach(sq => {
+        const hintMesh = new THREE.Mesh(hintGeometry, hintMaterial);
+        const pos = getPositionFromCoords(sq.row, sq.col);
+        hintMesh.position.set(pos.x, 0.015, pos.z); // Between the squares (0.01) and the move highlights (0.02)
+        hintMesh.rotation.x = -Math.PI / 2;
+        hintGroup.add(hintMesh);
+    });
+}
+
+function clearHintHighlights() {
+    if (!hintGroup) return;
+    hintGroup.children.forEach(hintMesh => hintMesh.geometry.dispose());
+    hintGroup.clear();
+}
+
+/**
+ * Draws a flat arrow across the board from one square to another, replacing any arrow shown before.
+ * It is not part of the raycast targets, so clicks pass through it to the board.
+ */
+function showMoveArrow(fromRow, fromCol, toRow, toCol) {
+    clearMoveArrow();
+    const from = getPositionFromCoords(fromRow, fromCol);
+    const to = getPositionFromCoords(toRow, toCol);
+    const length = from.distanceTo(to);
+    if (length === 0) return;
+    const headLength = Math.min(SQUARE_SIZE * 0.45, length * 0.5);
+    const halfShaft = SQUARE_SIZE * 0.08;
+    const halfHead = SQUARE_SIZE * 0.22;
+    // Outline pointing along +x, laid flat on the board and then turned towards the target square
+    const outline = new THREE.Shape();
+    outline.moveTo(0, -halfShaft);
+    outline.lineTo(length - headLength, -halfShaft); outline.lineTo(length - headLength, -halfHead);
+    outline.lineTo(length, 0);
+    outline.lineTo(length - headLength, halfHead); outline.lineTo(length - headLength, halfShaft);
+    outline.lineTo(0, halfShaft);
+    const arrowMesh = new THREE.Mesh(new THREE.ShapeGeometry(outline), arrowMaterial);
+    arrowMesh.rotation.x = -Math.PI / 2;
+    arrowMesh.renderOrder = 1;
+    const arrow = new THREE.Group();
+    arrow.add(arrowMesh);
+    arrow.position.set(from.x, 0.05, from.z);
+    arrow.rotation.y = Math.atan2(-(to.z - from.z), to.x - from.x);
+    arrowGroup.add(arrow);
+}
+
+/** Removes the arrow drawn by showMoveArrow(), if any. */
+function clearMoveArrow() {
+    if (!arrowGroup) return;
+    arrowGroup.traverse((child) => { if (child instanceof THREE.Mesh) child.geometry.dispose(); });
+    arrowGroup.clear();
+}
 
 // --- Export Public Functions and Variables ---
 export {
     init, addPieceToScene, clearPieces, getPositionFromCoords, getCoordsFromPosition,
     getIntersects, showHighlights, clearHighlights, movePieceMesh, removePieceMesh,
-    getPieceMeshAt, BOARD_SIZE, SQUARE_SIZE, scene, camera, modelsLoaded,
+    getPieceMeshAt, getBoardPlanePoint, setCameraSide, rotateCameraToSide, setControlsEnabled, liftPiece, dragPieceTo, animatePieceTo,
+    showHintHighlights, clearHintHighlights, showMoveArrow, clearMoveArrow,
+    BOARD_SIZE, SQUARE_SIZE, scene, camera, modelsLoaded,
     pieceGroup // *** NEW: Export pieceGroup ***
 };
@@ -1,4 +1,6 @@
-import { PIECE_TYPES, COLORS } from './chessLogic.js';
+import { PIECE_TYPES, COLORS, DRAW_REASONS } from './chessLogic.js';
+import { formatClockTime } from './chessClock.js';
+import { formatNags } from './moveTree.js';
 
 // --- DOM Element References ---
 // Store references to the HTML elements that display game information.
@@ -6,8 +8,82 @@ let turnIndicator;
 let gameStatusDisplay;
 let capturedWhiteDisplay; // Area showing pieces captured by Black
 let capturedBlackDisplay; // Area showing pieces captured by White
-let moveList;             // The <ul> element for the move history
+let moveList;             // The <ul> element for the move history, rendered from the game's move tree
 let newGameButton;
+let undoButton;
+let redoButton;
+let claimDrawButton;      // Shown while a threefold repetition or fifty-move draw can be claimed
+let exportPgnButton;
+let importPgnButton;
+let importPgnInput;       // Hidden file input opened by the Import PGN button
+let pgnGameSelect;        // Game picker shown when an imported file holds several games
+let promotionOverlay;     // Modal promotion picker
+let promotionChoices;     // Container for the four piece buttons of the picker
+let promotionCancelButton;
+let alwaysQueenToggle;    // "Always promote to queen" preference checkbox
+let resolvePromotion = null; // Settles the pending promptPromotion() promise, if any
+let sideSelect;           // Side the player takes in the next new game: 'white', 'black', 'random' or 'hotseat' (two players)
+let playerNames = null;   // { white, black } once set by setPlayers(); labels the turn indicator
+let settingsButton;
+let settingsOverlay;      // Modal settings panel opened by the Settings button
+let difficultySelect;     // CPU difficulty level picker
+let difficultyDescription; // One-line summary of the selected level
+let settingsCloseButton;
+let whiteNameInput;       // Player names for two-player games
+let blackNameInput;
+let lockCameraToggle;     // Keeps the camera still in two-player games instead of turning it to the player to move
+let gameOverOverlay;      // Modal result dialog shown when a game ends
+let gameOverTitle;
+let gameOverMessage;
+let gameOverNewGameButton;
+let gameOverCloseButton;
+let timersDisplay;        // Container of the two clocks, hidden in untimed games
+let clockDisplays = {};   // Color -> the .clock element of that side
+let timeControlSelect;    // Time control preset for the next new game
+let savesButton;
+let savesOverlay;         // Modal list of saved games with Save, Load and Delete
+let saveNameInput;
+let saveGameButton;
+let saveSlotList;
+let savesEmptyMessage;
+let savesCloseButton;
+let resumeOverlay;        // Start-up offer to resume the autosaved game
+let resumeMessage;
+let resumeGameButton;
+let resumeNewGameButton;
+let historyButtons = {};  // 'first', 'prev', 'play', 'next', 'last' -> move history navigation buttons
+let replaySpeedSelect;    // Delay between moves of the autoplay replay, in milliseconds
+let historyLiveButton;    // Returns from browsing the history to the live game
+let historyViewLabel;     // Names the move shown while browsing, e.g. "12... Nf6"
+let historyContinueButton; // Makes the position shown while browsing the live one, to play on from there
+let annotationTools;      // Buttons that annotate and rearrange the selected move
+let nagButtons = [];
+let commentButton;
+let promoteVariationButton;
+let demoteVariationButton;
+let deleteMoveButton;
+let analysisButton;       // Turns analysis mode (both sides moved by hand, engine evaluation shown) on and off
+let evalBar;              // Evaluation bar beside the board, White's share filled from White's side
+let evalBarWhite;
+let evalBarScore;
+let analysisPanel;        // Evaluation, search depth and best line of the position under analysis
+let analysisEval;
+let analysisDepth;
+let analysisLine;
+let reviewButton;         // Starts the engine review of the game
+let gameOverReviewButton;
+let reviewPanel;          // Progress, then accuracy, move counts and evaluation graph of the game review
+let reviewStatus;
+let reviewResults;
+let reviewAccuracy;
+let reviewCounts;
+let reviewGraph;          // SVG evaluation-over-time graph; clicking a position shows it on the board
+let reviewGraphMarker;    // Vertical line on the graph at the position shown
+let reviewSelection;      // Verdict on the move leading to the position shown, and the engine's move there
+let reviewCloseButton;
+let hintButton;           // Asks the engine for a hint: first the piece to move, then its target
+let hintCountDisplay;     // Hints used by each side in this game
+let disableHintsToggle;   // Settings switch that turns hints off, e.g. for rated games
 // Add references for other UI elements if created (e.g., settings button, timers)
 
 // --- Piece Symbols (Unicode) ---
@@ -31,6 +107,26 @@ const pieceSymbols = {
     }
 };
 
+const PROMOTION_CHOICES = [PIECE_TYPES.QUEEN, PIECE_TYPES.ROOK, PIECE_TYPES.BISHOP, PIECE_TYPES.KNIGHT];
+const ALWAYS_QUEEN_STORAGE_KEY = 'chess3d.alwaysPromoteToQueen';
+const DIFFICULTY_STORAGE_KEY = 'chess3d.aiDifficulty';
+const SIDE_STORAGE_KEY = 'chess3d.playerSide';
+const PLAYER_NAMES_STORAGE_KEY = 'chess3d.playerNames';
+const LOCK_CAMERA_STORAGE_KEY = 'chess3d.lockCamera';
+const TIME_CONTROL_STORAGE_KEY = 'chess3d.timeControl';
+const DISABLE_HINTS_STORAGE_KEY = 'chess3d.disableHints';
+const LOW_TIME_MS = 10000; // Clocks turn yellow below this
+const DEFAULT_PLAYER_NAMES = { [COLORS.WHITE]: 'Player 1', [COLORS.BLACK]: 'Player 2' };
+
+// --- Draw Reason Descriptions ---
+const drawReasonText = {
+    [DRAW_REASONS.INSUFFICIENT_MATERIAL]: 'insufficient material',
+    [DRAW_REASONS.THREEFOLD_REPETITION]: 'threefold repetition',
+    [DRAW_REASONS.FIVEFOLD_REPETITION]: 'fivefold repetition',
+    [DRAW_REASONS.FIFTY_MOVE_RULE]: 'the fifty-move rule',
+    [DRAW_REASONS.SEVENTY_FIVE_MOVE_RULE]: 'the seventy-five-move rule',
+    [DRAW_REASONS.TIMEOUT_VS_INSUFFICIENT_MATERIAL]: 'timeout against insufficient mating material',
+};
 
 /**
  * Initializes the UI Manager.
@@ -45,6 +141,83 @@ function initUIManager() {
     capturedBlackDisplay = document.getElementById('captured-black');
     moveList = document.getElementById('move-list');
     newGameButton = document.getElementById('new-game-btn');
+    undoButton = document.getElementById('undo-btn');
+    redoButton = document.getElementById('redo-btn');
+    claimDrawButton = document.getElementById('claim-draw-btn');
+    exportPgnButton = document.getElementById('export-pgn-btn');
+    importPgnButton = document.getElementById('import-pgn-btn');
+    importPgnInput = document.getElementById('import-pgn-input');
+    pgnGameSelect = document.getElementById('pgn-game-select');
+    promotionOverlay = document.getElementById('promotion-overlay');
+    promotionChoices = document.getElementById('promotion-choices');
+    promotionCancelButton = document.getElementById('promotion-cancel-btn');
+    alwaysQueenToggle = document.getElementById('always-queen-toggle');
+    sideSelect = document.getElementById('side-select');
+    settingsButton = document.getElementById('settings-btn');
+    settingsOverlay = document.getElementById('settings-overlay');
+    difficultySelect = document.getElementById('difficulty-select');
+    difficultyDescription = document.getElementById('difficulty-description');
+    settingsCloseButton = document.getElementById('settings-close-btn');
+    whiteNameInput = document.getElementById('white-name-input');
+    blackNameInput = document.getElementById('black-name-input');
+    lockCameraToggle = document.getElementById('lock-camera-toggle');
+    gameOverOverlay = document.getElementById('game-over-overlay');
+    gameOverTitle = document.getElementById('game-over-title');
+    gameOverMessage = document.getElementById('game-over-message');
+    gameOverNewGameButton = document.getElementById('game-over-new-game-btn');
+    gameOverCloseButton = document.getElementById('game-over-close-btn');
+    timersDisplay = document.getElementById('timers');
+    clockDisplays = { [COLORS.WHITE]: document.getElementById('clock-white'), [COLORS.BLACK]: document.getElementById('clock-black') };
+    timeControlSelect = document.getElementById('time-control-select');
+    savesButton = document.getElementById('saves-btn');
+    savesOverlay = document.getElementById('saves-overlay');
+    saveNameInput = document.getElementById('save-name-input');
+    saveGameButton = document.getElementById('save-game-btn');
+    saveSlotList = document.getElementById('save-slot-list');
+    savesEmptyMessage = document.getElementById('saves-empty');
+    savesCloseButton = document.getElementById('saves-close-btn');
+    resumeOverlay = document.getElementById('resume-overlay');
+    resumeMessage = document.getElementById('resume-message');
+    resumeGameButton = document.getElementById('resume-game-btn');
+    resumeNewGameButton = document.getElementById('resume-new-game-btn');
+    historyButtons = {
+        first: document.getElementById('history-first-btn'), prev: document.getElementById('history-prev-btn'),
+        play: document.getElementById('history-play-btn'), next: document.getElementById('history-next-btn'),
+        last: document.getElementById('history-last-btn'),
+    };
+    replaySpeedSelect = document.getElementById('replay-speed-select');
+    historyLiveButton = document.getElementById('history-live-btn');
+    historyViewLabel = document.getElementById('history-view-label');
+    historyContinueButton = document.getElementById('history-continue-btn');
+    annotationTools = document.getElementById('annotation-tools');
+    nagButtons = annotationTools ? [...annotationTools.querySelectorAll('.nag-btn')] : [];
+    commentButton = document.getElementById('comment-btn');
+    promoteVariationButton = document.getElementById('promote-variation-btn');
+    demoteVariationButton = document.getElementById('demote-variation-btn');
+    deleteMoveButton = document.getElementById('delete-move-btn');
+    analysisButton = document.getElementById('analysis-btn');
+    evalBar = document.getElementById('eval-bar');
+    evalBarWhite = document.getElementById('eval-bar-white');
+    evalBarScore = document.getElementById('eval-bar-score');
+    analysisPanel = document.getElementById('analysis-panel');
+    analysisEval = document.getElementById('analysis-eval');
+    analysisDepth = document.getElementById('analysis-depth');
+    analysisLine = document.getElementById('analysis-line');
+    reviewButton = document.getElementById('review-btn');
+    gameOverReviewButton = document.getElementById('game-over-review-btn');
+    reviewPanel = document.getElementById('review-panel');
+    reviewStatus = document.getElementById('review-status');
+    reviewResults = document.getElementById('review-results');
+    reviewAccuracy = document.getElementById('review-accuracy');
+    reviewCounts = document.getElementById('review-counts');
+    reviewGraph = document.getElementById('review-graph');
+    reviewSelection = document.getElementById('review-selection');
+    reviewCloseButton = document.getElementById('review-close-btn');
+    hintButton = document.getElementById('hint-btn');
+    hintCountDisplay = document.getElementById('hint-count');
+    disableHintsToggle = document.getElementById('disable-hints-toggle');
+    setupPromotionPicker();
+    setupSideSelect();
 
     // Basic check to ensure all required elements were found
     if (!turnIndicator || !gameStatusDisplay || !capturedWhiteDisplay || !capturedBlackDisplay || !moveList || !newGameButton) {
@@ -62,8 +235,9 @@ function initUIManager() {
  */
 function updateTurnIndicator(currentPlayer) {
     if (turnIndicator) {
-        // Capitalize the first letter for display (e.g., "White", "Black")
-        turnIndicator.textContent = currentPlayer.charAt(0).toUpperCase() + currentPlayer.slice(1);
+        // Capitalize the first letter for display (e.g., "White", "Black"), naming who plays it when known
+        const playerName = playerNames ? ` (${playerNames[currentPlayer]})` : '';
+        turnIndicator.textContent = currentPlayer.charAt(0).toUpperCase() + currentPlayer.slice(1) + playerName;
         // Optional: Apply different styles based on the current player
         turnIndicator.style.color = currentPlayer === COLORS.WHITE ? '#f0f0f0' : '#cccccc'; // Example styling
     } else {
@@ -116,49 +290,100 @@ function updateCapturedPieces(capturedPiecesData) {
 // }
 
 /**
- * Adds a move notation to the scrollable move history list.
- * Formats the output like "1. e4 e5" or "2. Nf3 ...".
- * @param {string} moveNotation - The algebraic notation of the move (e.g., "Nf3", "O-O").
- * @param {number} moveNumber - The full move number (increments after Black moves).
- * @param {string} playerColor - The color of the player who made the move (COLORS.WHITE or COLORS.BLACK).
+ * Renders a move tree into the scrollable move history list. The main line reads like "1. e4 ... e5";
+ * variations follow the move they replace as indented, collapsible blocks, nested as deep as they go.
+ * Every move can be clicked to browse to it (see setupHistoryNavigation()).
+ * @param {MoveTree} tree - The game's moves, from moveTree.js.
  */
-function addMoveToHistory(moveNotation, moveNumber, playerColor) {
-    if (moveList) {
-        let listItem;
-        // If it's White's move, create a new list item (<li>) for the move number.
-        if (playerColor === COLORS.WHITE) {
+function renderMoveTree(tree) {
+    if (!moveList) { console.warn("Attempted to render the move history, but element not found."); return; }
+    moveList.innerHTML = '';
+    if (tree.root.comment) {
+        const commentItem = document.createElement('li');
+        commentItem.className = 'game-comment';
+        commentItem.appendChild(createCommentElement(tree.root.comment));
+        moveList.appendChild(commentItem);
+    }
+    let listItem = null; // Row of the current full move; a new one starts after a block of variations
+    for (let node = tree.root; node.children.length; node = node.children[0]) {
+        const [move, ...variations] = node.children;
+        const { moveNumber, color } = tree.getMoveNumber(move);
+        if (color === COLORS.WHITE || !listItem) {
             listItem = document.createElement('li');
-            // Use innerHTML to easily include the span for styling the move number
-            listItem.innerHTML = `<span class="move-number">${moveNumber}.</span> ${moveNotation}`;
+            listItem.innerHTML = `<span class="move-number">${moveNumber}.</span> ${color === COLORS.BLACK ? '... ' : ''}`;
             moveList.appendChild(listItem);
+        } else {
+            listItem.append(' ... ');
         }
-        // If it's Black's move, find the last list item (which should be White's move)
-        // and append Black's move notation to it.
-        else {
-            listItem = moveList.lastElementChild;
-            if (listItem) {
-                // Check if black's move is already present (e.g., when rebuilding history)
-                // A simple check might be looking for '...' or counting spaces.
-                // This basic version just appends with a separator.
-                 listItem.innerHTML += ` ... ${moveNotation}`; // Add separator and black's move
-            } else {
-                // Defensive coding: Should not happen if White always moves first,
-                // but handle case where history might start with Black's move.
-                listItem = document.createElement('li');
-                listItem.innerHTML = `<span class="move-number">${moveNumber}.</span> ... ${moveNotation}`;
-                moveList.appendChild(listItem);
-                console.warn("Move history: Added Black's move without a preceding White move item.");
-            }
+        listItem.appendChild(createMoveElement(tree, move));
+        if (move.comment) listItem.append(' ', createCommentElement(move.comment));
+        if (variations.length) {
+            const variationsItem = document.createElement('li');
+            variationsItem.className = 'variations';
+            variations.forEach(variation => variationsItem.appendChild(createVariationElement(tree, variation)));
+            moveList.appendChild(variationsItem);
+            listItem = null;
         }
-        // Automatically scroll the move list to show the latest move
-        moveList.scrollTop = moveList.scrollHeight;
-    } else {
-         console.warn("Attempted to add move to history, but element not found.");
     }
+    // Automatically scroll the move list to show the latest move
+    moveList.scrollTop = moveList.scrollHeight;
+}
+
+/** A clickable move, e.g. "Nf3!?". */
+function createMoveElement(tree, node) {
+    const moveSpan = document.createElement('span');
+    moveSpan.className = `history-move ${tree.getMoveNumber(node).color}`;
+    moveSpan.dataset.nodeId = String(node.id);
+    moveSpan.textContent = node.san + formatNags(node.nags);
+    return moveSpan;
+}
+
+function createCommentElement(comment) {
+    const commentSpan = document.createElement('span');
+    commentSpan.className = 'move-comment';
+    commentSpan.textContent = comment;
+    return commentSpan;
 }
 
 /**
- * Updates the game status message display (e.g., "Check!", "Checkmate!", "Stalemate!").
+ * One variation as an indented block: a fold toggle, then the moves inline, with the variations inside it
+ * nested one level deeper. A folded variation shows only its first move.
+ */
+function createVariationElement(tree, start) {
+    const container = document.createElement('div');
+    container.className = 'variation';
+    const toggle = document.createElement('button');
+    toggle.className = 'variation-toggle';
+    toggle.dataset.nodeId = String(start.id);
+    toggle.textContent = start.isCollapsed ? '+' : '\u2212';
+    toggle.title = start.isCollapsed ? 'Show this variation' : 'Fold this variation';
+    container.appendChild(toggle);
+    const appendMove = (node, forceNumber) => {
+        const { moveNumber, color } = tree.getMoveNumber(node);
+        const prefix = color === COLORS.WHITE ? `${moveNumber}. ` : (forceNumber ? `${moveNumber}... ` : '');
+        container.append(` ${prefix}`, createMoveElement(tree, node));
+        if (node.comment && !start.isCollapsed) container.append(' ', createCommentElement(node.comment));
+    };
+    appendMove(start, true);
+    if (start.isCollapsed) {
+        if (start.children.length) container.append(' \u2026');
+        return container;
+    }
+    let needsNumber = !!start.comment;
+    for (let node = start; node.children.length; node = node.children[0]) {
+        const [move, ...alternatives] = node.children;
+        appendMove(move, needsNumber);
+        needsNumber = !!move.comment;
+        alternatives.forEach(alternative => {
+            container.appendChild(createVariationElement(tree, alternative));
+            needsNumber = true;
+        });
+    }
+    return container;
+}
+
+/**
+ * Updates the game status message display (e.g., "Check!", "Checkmate!", "Stalemate!", "Draw by threefold repetition.").
  * @param {object} gameStatusData - The game status object from chessLogic.getGameStatus().
  */
 function updateGameStatusDisplay(gameStatusData) {
@@ -166,18 +391,33 @@ function updateGameStatusDisplay(gameStatusData) {
         let statusText = ""; // Default to empty status
         let statusColor = '#ffcc00'; // Default color (e.g., yellow for check/stalemate)
 
-        if (gameStatusData.isCheckmate) {
+        if (gameStatusData.error) {
+            statusText = gameStatusData.error;
+            statusColor = '#ff4d4d'; // Red for errors
+        } else if (gameStatusData.info) {
+            statusText = gameStatusData.info;
+            statusColor = '#61dafb'; // Accent color for informational messages
+        } else if (gameStatusData.isCheckmate) {
             const winner = gameStatusData.winner.charAt(0).toUpperCase() + gameStatusData.winner.slice(1);
             statusText = `Checkmate! ${winner} wins.`;
             statusColor = '#ff4d4d'; // Red for checkmate
+        } else if (gameStatusData.timeForfeit && !gameStatusData.isDraw) {
+            const winner = gameStatusData.winner.charAt(0).toUpperCase() + gameStatusData.winner.slice(1);
+            statusText = `Time! ${winner} wins on time.`;
+            statusColor = '#ff4d4d';
         } else if (gameStatusData.isStalemate) {
             statusText = "Stalemate! Draw.";
             statusColor = '#ffcc00'; // Yellow for stalemate
+        } else if (gameStatusData.isDraw) {
+            statusText = `Draw by ${drawReasonText[gameStatusData.drawReason] || 'agreement'}.`;
+            statusColor = '#ffcc00'; // Yellow for draws
         } else if (gameStatusData.isCheck) {
             statusText = "Check!";
             statusColor = '#ffcc00'; // Yellow for check
         }
-        // Add other draw conditions here if implemented (e.g., fifty-move rule)
+        if (gameStatusData.claimableDraw && !gameStatusData.isCheckmate && !gameStatusData.isDraw) {
+            statusText += `${statusText ? ' ' : ''}A draw by ${drawReasonText[gameStatusData.claimableDraw]} can be claimed.`;
+        }
 
         gameStatusDisplay.textContent = statusText;
         gameStatusDisplay.style.color = statusColor; // Apply appropriate color
@@ -204,11 +444,758 @@ function clearUI() {
      console.log("UI cleared.");
 }
 
+// --- Stored Preferences ---
+
+/** Reads a saved preference, or null when storage is unavailable (e.g. blocked in private browsing). */
+function readStoredValue(key) {
+    try { return localStorage.getItem(key); }
+    catch (error) { return null; }
+}
+
+/** Saves a preference; failures are only logged since preferences are a convenience. */
+function storeValue(key, value) {
+    try { localStorage.setItem(key, value); }
+    catch (error) { console.warn(`Could not save preference ${key}:`, error); }
+}
+
+// --- Promotion Picker ---
+
+/** Wires up the picker's cancel paths (button, Escape, backdrop click) and the saved "always queen" preference. */
+function setupPromotionPicker() {
+    if (alwaysQueenToggle) {
+        alwaysQueenToggle.checked = readStoredValue(ALWAYS_QUEEN_STORAGE_KEY) === 'true';
+        alwaysQueenToggle.onchange = () => storeValue(ALWAYS_QUEEN_STORAGE_KEY, String(alwaysQueenToggle.checked));
+    }
+    if (!promotionOverlay || !promotionChoices) return;
+    if (promotionCancelButton) promotionCancelButton.onclick = () => closePromotionPicker(null);
+    promotionOverlay.addEventListener('click', (event) => { if (event.target === promotionOverlay) closePromotionPicker(null); });
+    promotionOverlay.addEventListener('keydown', (event) => { if (event.key === 'Escape') closePromotionPicker(null); });
+}
+
+/**
+ * Asks the player which piece a pawn promotes to. Resolves immediately with a queen when the
+ * "always promote to queen" preference is on.
+ * @param {string} color - The promoting side (COLORS.WHITE or COLORS.BLACK), used for the piece symbols.
+ * @returns {Promise<?string>} The chosen PIECE_TYPES value, or null if the move was cancelled.
+ */
+function promptPromotion(color) {
+    if (alwaysQueenToggle?.checked) return Promise.resolve(PIECE_TYPES.QUEEN);
+    if (!promotionOverlay || !promotionChoices) {
+        console.warn("Promotion picker not found, promoting to a queen.");
+        return Promise.resolve(PIECE_TYPES.QUEEN);
+    }
+    closePromotionPicker(null); // Settle any earlier prompt first
+    promotionChoices.innerHTML = '';
+    PROMOTION_CHOICES.forEach(pieceType => {
+        const button = document.createElement('button');
+        button.textContent = pieceSymbols[color][pieceType];
+        button.title = pieceType.charAt(0).toUpperCase() + pieceType.slice(1);
+        button.onclick = () => closePromotionPicker(pieceType);
+        promotionChoices.appendChild(button);
+    });
+    promotionOverlay.hidden = false;
+    promotionChoices.firstElementChild.focus();
+    return new Promise(resolve => { resolvePromotion = resolve; });
+}
+
+/**
+ * Hides the promotion picker and settles its pending prompt.
+ * @param {?string} [pieceType=null] - The chosen piece, or null to cancel the move.
+ */
+function closePromotionPicker(pieceType = null) {
+    if (promotionOverlay) promotionOverlay.hidden = true;
+    const resolve = resolvePromotion;
+    resolvePromotion = null;
+    if (resolve) resolve(pieceType);
+}
+
+// --- Side Selection ---
+
+/** Restores the saved side choice and saves it whenever it changes. */
+function setupSideSelect() {
+    if (!sideSelect) return;
+    const storedSide = readStoredValue(SIDE_STORAGE_KEY);
+    if ([...sideSelect.options].some(option => option.value === storedSide)) sideSelect.value = storedSide;
+    sideSelect.onchange = () => storeValue(SIDE_STORAGE_KEY, sideSelect.value);
+}
+
+/** The side chosen for the next new game: 'white', 'black', 'random' or 'hotseat' for two players at this machine. */
+function getChosenSide() {
+    return sideSelect ? sideSelect.value : 'white';
+}
+
+/**
+ * Names the players and orients the side panels: the captured-pieces list of the given side is shown first,
+ * and the turn indicator names who is to move, e.g. "Black (CPU)".
+ * @param {{white: string, black: string}} names - Display names by color, e.g. "You" and "CPU".
+ * @param {string} color - The side facing the screen (the human's color against the CPU).
+ */
+function setPlayers(names, color) {
+    playerNames = { ...names };
+    const whitePanel = capturedWhiteDisplay?.parentElement; // "White Captured" lists White's lost pieces
+    const blackPanel = capturedBlackDisplay?.parentElement;
+    if (whitePanel && blackPanel) {
+        whitePanel.style.order = color === COLORS.WHITE ? '1' : '2';
+        blackPanel.style.order = color === COLORS.WHITE ? '2' : '1';
+    }
+}
+
+/**
+ * Restores the saved two-player names and camera lock, and saves them when they change.
+ * @param {Function} onNamesChange - Called after either name is edited.
+ */
+function setupTwoPlayerSettings(onNamesChange) {
+    let storedNames = {};
+    try { storedNames = JSON.parse(readStoredValue(PLAYER_NAMES_STORAGE_KEY)) || {}; }
+    catch (error) { console.warn("Ignoring unreadable saved player names:", error); }
+    [[whiteNameInput, COLORS.WHITE], [blackNameInput, COLORS.BLACK]].forEach(([input, color]) => {
+        if (!input) return;
+        input.value = typeof storedNames[color] === 'string' ? storedNames[color] : '';
+        input.onchange = () => {
+            storeValue(PLAYER_NAMES_STORAGE_KEY, JSON.stringify(getTwoPlayerNames()));
+            onNamesChange();
+        };
+    });
+    if (lockCameraToggle) {
+        lockCameraToggle.checked = readStoredValue(LOCK_CAMERA_STORAGE_KEY) === 'true';
+        lockCameraToggle.onchange = () => storeValue(LOCK_CAMERA_STORAGE_KEY, String(lockCameraToggle.checked));
+    }
+}
+
+/** Names entered for a two-player game, e.g. { white: 'Ann', black: 'Ben' }; empty fields fall back to "Player 1" / "Player 2". */
+function getTwoPlayerNames() {
+    const readName = (input, color) => (input && input.value.trim()) || DEFAULT_PLAYER_NAMES[color];
+    return { [COLORS.WHITE]: readName(whiteNameInput, COLORS.WHITE), [COLORS.BLACK]: readName(blackNameInput, COLORS.BLACK) };
+}
+
+/** Whether the camera should stay put in two-player games. */
+function isCameraLocked() {
+    return !!lockCameraToggle?.checked;
+}
+
+// --- Move History Navigation ---
+
+/**
+ * Wires up browsing of the move history: clicking a move, the step buttons, the autoplay replay and the
+ * arrow keys (Left/Right to step, Home/End for the start and the live position), plus folding variations.
+ * The handlers decide what is shown; showHistoryPosition() then updates the controls.
+ * @param {object} handlers
+ * @param {function(number): void} handlers.onJump - Called with the move tree node id of a clicked move.
+ * @param {function(): void} handlers.onFirst - Shows the starting position.
+ * @param {function(number): void} handlers.onStep - Called with -1 or +1.
+ * @param {function(): void} handlers.onToggleReplay - Starts or pauses the autoplay replay.
+ * @param {function(): void} handlers.onReturnToLive - Shows the live game again.
+ * @param {function(): void} handlers.onPlayFromHere - Continues the game from the position shown.
+ * @param {function(number): void} handlers.onToggleVariation - Called with the node id of the variation to fold or unfold.
+ */
+function setupHistoryNavigation({ onJump, onFirst, onStep, onToggleReplay, onReturnToLive, onPlayFromHere, onToggleVariation }) {
+    if (moveList) {
+        moveList.onclick = (event) => {
+            const toggle = event.target.closest('.variation-toggle');
+            if (toggle) { onToggleVariation(Number(toggle.dataset.nodeId)); return; }
+            const moveSpan = event.target.closest('.history-move[data-node-id]');
+            if (moveSpan) onJump(Number(moveSpan.dataset.nodeId));
+        };
+    }
+    if (historyButtons.first) historyButtons.first.onclick = onFirst;
+    if (historyButtons.prev) historyButtons.prev.onclick = () => onStep(-1);
+    if (historyButtons.play) historyButtons.play.onclick = onToggleReplay;
+    if (historyButtons.next) historyButtons.next.onclick = () => onStep(1);
+    if (historyButtons.last) historyButtons.last.onclick = onReturnToLive;
+    if (historyLiveButton) historyLiveButton.onclick = onReturnToLive;
+    if (historyContinueButton) historyContinueButton.onclick = onPlayFromHere;
+    document.addEventListener('keydown', (event) => {
+        if (event.ctrlKey || event.metaKey || event.altKey || event.target.closest('input, select, textarea')) return;
+        if ([...document.querySelectorAll('[role="dialog"]')].some(dialog => !dialog.parentElement.hidden)) return;
+        const actions = { ArrowLeft: () => onStep(-1), ArrowRight: () => onStep(1), Home: onFirst, End: onReturnToLive };
+        if (!actions[event.key]) return;
+        event.preventDefault();
+        actions[event.key]();
+    });
+}
+
+/**
+ * Marks the move shown on the board and the last move of the live game, and updates the navigation controls.
+ * @param {object} view
+ * @param {?number} view.viewedNodeId - Move tree node shown while browsing, or null for the live game.
+ * @param {number} view.currentNodeId - Node of the live position.
+ * @param {?string} view.label - Name of the position shown while browsing, e.g. "12... Nf6".
+ * @param {boolean} view.canStepBack
+ * @param {boolean} view.canStepForward
+ * @param {boolean} view.canReplay - Whether there are moves to replay.
+ * @param {boolean} view.isReplaying - Whether the autoplay replay is running.
+ */
+function showHistoryPosition({ viewedNodeId, currentNodeId, label, canStepBack, canStepForward, canReplay, isReplaying }) {
+    const isLive = viewedNodeId === null;
+    if (moveList) {
+        moveList.querySelectorAll('.history-move.viewed, .history-move.current').forEach(span => span.classList.remove('viewed', 'current'));
+        const currentMove = moveList.querySelector(`.history-move[data-node-id="${currentNodeId}"]`);
+        if (currentMove) currentMove.classList.add('current');
+        const viewedMove = isLive ? null : moveList.querySelector(`.history-move[data-node-id="${viewedNodeId}"]`);
+        if (viewedMove) viewedMove.classList.add('viewed');
+        const focusMove = viewedMove || currentMove;
+        if (focusMove) focusMove.scrollIntoView({ block: 'nearest' });
+        moveList.classList.toggle('browsing', !isLive);
+    }
+    if (historyButtons.first) historyButtons.first.disabled = !canStepBack;
+    if (historyButtons.prev) historyButtons.prev.disabled = !canStepBack;
+    if (historyButtons.next) historyButtons.next.disabled = !canStepForward;
+    if (historyButtons.last) historyButtons.last.disabled = isLive;
+    if (historyButtons.play) {
+        historyButtons.play.disabled = !canReplay && !isReplaying;
+        historyButtons.play.textContent = isReplaying ? 'Pause' : 'Replay';
+    }
+    if (historyLiveButton) historyLiveButton.hidden = isLive;
+    if (historyContinueButton) historyContinueButton.hidden = isLive;
+    if (historyViewLabel) {
+        historyViewLabel.hidden = isLive;
+        if (!isLive) historyViewLabel.textContent = `Viewing ${label}`;
+    }
+}
+
+/** Delay between moves of the autoplay replay, as picked in the speed selector. */
+function getReplayDelayMs() {
+    return replaySpeedSelect ? Number(replaySpeedSelect.value) : 1000;
+}
+
+// --- Move Annotation Tools ---
+
+/**
+ * Wires up the buttons that annotate and rearrange the selected move (the move shown while browsing,
+ * otherwise the last move played).
+ * @param {object} handlers
+ * @param {function(number): void} handlers.onToggleNag - Called with the NAG of the glyph button pressed.
+ * @param {function(): void} handlers.onEditComment
+ * @param {function(): void} handlers.onPromote - Moves the selected variation up.
+ * @param {function(): void} handlers.onDemote - Moves the selected line down.
+ * @param {function(): void} handlers.onDelete - Deletes the selected move and everything after it.
+ */
+function setupAnnotationTools({ onToggleNag, onEditComment, onPromote, onDemote, onDelete }) {
+    if (!annotationTools) { console.warn("Annotation tools not found; moves cannot be annotated."); return; }
+    nagButtons.forEach(button => { button.onclick = () => onToggleNag(Number(button.dataset.nag)); });
+    if (commentButton) commentButton.onclick = onEditComment;
+    if (promoteVariationButton) promoteVariationButton.onclick = onPromote;
+    if (demoteVariationButton) demoteVariationButton.onclick = onDemote;
+    if (deleteMoveButton) deleteMoveButton.onclick = onDelete;
+}
+
+/**
+ * Enables the annotation tools that apply to the selected move and marks the glyphs it carries.
+ * @param {object} selection
+ * @param {boolean} selection.isMove - False at the starting position, which can only take a comment.
+ * @param {number[]} selection.nags - NAGs of the selected move.
+ * @param {boolean} selection.canPromote
+ * @param {boolean} selection.canDemote
+ */
+function updateAnnotationTools({ isMove, nags, canPromote, canDemote }) {
+    nagButtons.forEach(button => {
+        button.disabled = !isMove;
+        button.classList.toggle('active', nags.includes(Number(button.dataset.nag)));
+    });
+    if (commentButton) commentButton.title = isMove ? 'Comment on the selected move' : 'Comment on the game';
+    if (promoteVariationButton) promoteVariationButton.disabled = !canPromote;
+    if (demoteVariationButton) demoteVariationButton.disabled = !canDemote;
+    if (deleteMoveButton) deleteMoveButton.disabled = !isMove;
+}
+
+/**
+ * Asks for a comment.
+ * @param {string} subject - What is being commented on, e.g. "12... Nf6".
+ * @param {?string} currentComment
+ * @returns {?string} The new text (empty to remove the comment), or null if the player canceled.
+ */
+function askForComment(subject, currentComment) {
+    return window.prompt(`Comment on ${subject} (leave empty to remove it):`, currentComment || '');
+}
+
+/** Asks the player to confirm a destructive action. */
+function askConfirmation(message) {
+    return window.confirm(message);
+}
+
+// --- Analysis Mode ---
+
+/**
+ * Shows or hides the evaluation bar and the analysis panel, and marks the Analysis button as pressed.
+ * @param {boolean} isActive
+ * @param {boolean} blackAtBottom - Turns the bar around when the board is seen from Black's side.
+ */
+function showAnalysisMode(isActive, blackAtBottom) {
+    if (analysisButton) {
+        analysisButton.classList.toggle('active', isActive);
+        analysisButton.setAttribute('aria-pressed', String(isActive));
+    }
+    if (evalBar) {
+        evalBar.hidden = !isActive;
+        evalBar.classList.toggle('black-at-bottom', blackAtBottom);
+    }
+    if (analysisPanel) analysisPanel.hidden = !isActive;
+    if (isActive) updateAnalysis(null);
+}
+
+/**
+ * Shows the engine's view of the position under analysis; null shows "Analyzing..." until the first depth is done.
+ * @param {?{evalText: string, whiteShare: number, depth: ?number, line: string}} analysis - whiteShare is White's
+ *   part of the evaluation bar, from 0 to 1.
+ */
+function updateAnalysis(analysis) {
+    const { evalText = '…', whiteShare = 0.5, depth = null, line = 'Analyzing...' } = analysis || {};
+    if (evalBarWhite) evalBarWhite.style.height = `${(whiteShare * 100).toFixed(1)}%`;
+    if (evalBarScore) evalBarScore.textContent = evalText;
+    if (analysisEval) analysisEval.textContent = evalText;
+    if (analysisDepth) analysisDepth.textContent = depth ? `depth ${depth}` : '';
+    if (analysisLine) analysisLine.textContent = line;
+}
+
+// --- Hints ---
+
+/**
+ * Wires up the Hint button and the settings switch that disables hints (stored as a preference).
+ * @param {function(): void} onHint
+ * @param {function(): void} onDisabledChange - Called when hints are switched on or off.
+ */
+function setupHints(onHint, onDisabledChange) {
+    if (hintButton) hintButton.onclick = onHint;
+    if (disableHintsToggle) {
+        disableHintsToggle.checked = readStoredValue(DISABLE_HINTS_STORAGE_KEY) === 'true';
+        disableHintsToggle.onchange = () => {
+            storeValue(DISABLE_HINTS_STORAGE_KEY, String(disableHintsToggle.checked));
+            onDisabledChange();
+        };
+    }
+}
+
+function areHintsDisabled() {
+    return !!disableHintsToggle?.checked;
+}
+
+/**
+ * Updates the Hint button and the hint count.
+ * @param {object} state
+ * @param {boolean} state.isAvailable - Whether the button can be pressed now.
+ * @param {boolean} state.isThinking - The engine is still looking for the move.
+ * @param {number} state.stage - 0 before a hint, 1 while only its piece is shown, 2 once its target is shown too.
+ * @param {Object<string, number>} state.hintsUsed - Color -> hints used in this game.
+ */
+function updateHintDisplay({ isAvailable, isThinking, stage, hintsUsed }) {
+    if (hintButton) {
+        hintButton.disabled = !isAvailable || isThinking;
+        hintButton.textContent = isThinking ? 'Thinking...' : (stage === 1 ? 'Show target' : 'Hint');
+        hintButton.title = stage === 1 ? 'Show where the hinted piece should go' : 'Show which piece the engine would move';
+    }
+    if (hintCountDisplay) {
+        hintCountDisplay.hidden = !hintsUsed[COLORS.WHITE] && !hintsUsed[COLORS.BLACK];
+        hintCountDisplay.textContent = `Hints used: White ${hintsUsed[COLORS.WHITE]}, Black ${hintsUsed[COLORS.BLACK]}`;
+    }
+}
+
+// --- Game Review Panel ---
+const REVIEW_GRAPH_WIDTH = 220; // viewBox size of the evaluation graph; it scales with the panel
+const REVIEW_GRAPH_HEIGHT = 80;
+const REVIEW_GRAPH_DOT_CLASSES = ['inaccuracy', 'mistake', 'blunder']; // Moves marked with a dot on the graph
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Wires up the Review game buttons (in the controls and in the game over dialog), the graph and the close button.
+ * @param {object} handlers
+ * @param {function(): void} handlers.onReview
+ * @param {function(number): void} handlers.onSelectPly - Called with the position clicked on the graph, in plies from the start.
+ * @param {function(): void} handlers.onClose - Closes the review, or stops it while it is still running.
+ */
+function setupGameReview({ onReview, onSelectPly, onClose }) {
+    if (reviewButton) reviewButton.onclick = onReview;
+    if (gameOverReviewButton) gameOverReviewButton.onclick = () => { closeGameOverDialog(); onReview(); };
+    if (reviewCloseButton) reviewCloseButton.onclick = onClose;
+    if (reviewGraph) {
+        reviewGraph.addEventListener('click', (event) => {
+            const column = event.target.closest('[data-ply]');
+            if (column) onSelectPly(Number(column.dataset.ply));
+        });
+    }
+}
+
+function setReviewAvailable(isAvailable) {
+    if (reviewButton) reviewButton.disabled = !isAvailable;
+}
+
+/** Shows the review panel while the engine works through the game, e.g. "Reviewing the game... 12 of 80 positions". */
+function showReviewProgress(done, total) {
+    if (!reviewPanel) return;
+    reviewPanel.hidden = false;
+    reviewResults.hidden = true;
+    reviewStatus.textContent = `Reviewing the game... ${done} of ${total} positions`;
+    reviewCloseButton.title = 'Stop the review';
+}
+
+/**
+ * Shows a finished review: accuracy and move counts per side, and the evaluation graph.
+ * @param {object} review
+ * @param {Object<string, ?number>} review.accuracy - Color -> average accuracy in percent, null for a side without moves.
+ * @param {Object<string, Object<string, number>>} review.counts - Color -> classification key -> number of moves.
+ * @param {Array<{key: string, label: string}>} review.classifications - The classes, best first.
+ * @param {Array<{share: number, classKey: ?string, label: string}>} review.points - One per position: White's share of
+ *   the evaluation (0 to 1), the class of the move that led there (null for the start) and a tooltip.
+ */
+function showReview({ accuracy, counts, classifications, points }) {
+    if (!reviewPanel) return;
+    reviewPanel.hidden = false;
+    reviewResults.hidden = false;
+    reviewStatus.textContent = '';
+    reviewCloseButton.title = 'Close the review';
+    const formatAccuracy = (value) => value === null ? '-' : `${value.toFixed(1)}%`;
+    reviewAccuracy.textContent = `Accuracy: White ${formatAccuracy(accuracy[COLORS.WHITE])}, Black ${formatAccuracy(accuracy[COLORS.BLACK])}`;
+    reviewCounts.innerHTML = '<tr><th></th><th>White</th><th>Black</th></tr>';
+    classifications.forEach(({ key, label }) => {
+        const row = reviewCounts.insertRow();
+        row.className = `review-${key}`;
+        [label, counts[COLORS.WHITE][key], counts[COLORS.BLACK][key]].forEach(text => { row.insertCell().textContent = String(text); });
+    });
+    renderReviewGraph(points);
+}
+
+/** Draws the evaluation graph: White's share as a white area, dots on poor moves, and a clickable column per position. */
+function renderReviewGraph(points) {
+    reviewGraph.replaceChildren();
+    const step = REVIEW_GRAPH_WIDTH / Math.max(1, points.length - 1);
+    const x = (ply) => (ply * step).toFixed(1);
+    const y = (share) => ((1 - share) * REVIEW_GRAPH_HEIGHT).toFixed(1);
+    const line = points.map((point, ply) => `${x(ply)},${y(point.share)}`).join(' ');
+    reviewGraph.append(
+        createSvgElement('polygon', { class: 'review-graph-white', points: `0,${REVIEW_GRAPH_HEIGHT} ${line} ${x(points.length - 1)},${REVIEW_GRAPH_HEIGHT}` }),
+        createSvgElement('line', { class: 'review-graph-midline', x1: 0, y1: REVIEW_GRAPH_HEIGHT / 2, x2: REVIEW_GRAPH_WIDTH, y2: REVIEW_GRAPH_HEIGHT / 2 }),
+        createSvgElement('polyline', { class: 'review-graph-line', points: line }),
+    );
+    reviewGraphMarker = createSvgElement('line', { class: 'review-graph-marker', y1: 0, y2: REVIEW_GRAPH_HEIGHT, visibility: 'hidden' });
+    reviewGraph.appendChild(reviewGraphMarker);
+    points.forEach((point, ply) => {
+        if (REVIEW_GRAPH_DOT_CLASSES.includes(point.classKey)) {
+            reviewGraph.appendChild(createSvgElement('circle', { class: `review-graph-dot review-${point.classKey}`, cx: x(ply), cy: y(point.share), r: 2.5 }));
+        }
+        const column = createSvgElement('rect', { class: 'review-graph-column', x: (ply - 0.5) * step, y: 0, width: step, height: REVIEW_GRAPH_HEIGHT });
+        column.dataset.ply = String(ply);
+        const title = createSvgElement('title', {});
+        title.textContent = point.label;
+        column.appendChild(title);
+        reviewGraph.appendChild(column);
+    });
+}
+
+function createSvgElement(tagName, attributes) {
+    const element = document.createElementNS(SVG_NAMESPACE, tagName);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, String(value)));
+    return element;
+}
+
+/**
+ * Marks the position shown on the board in the graph and describes it.
+ * @param {?{ply: number, text: string}} selection - Null when the position shown is not part of the review.
+ */
+function showReviewSelection(selection) {
+    if (!reviewGraphMarker || !reviewResults || reviewResults.hidden) return;
+    const column = selection ? reviewGraph.querySelector(`[data-ply="${selection.ply}"]`) : null;
+    if (column) {
+        const center = Number(column.getAttribute('x')) + Number(column.getAttribute('width')) / 2;
+        reviewGraphMarker.setAttribute('x1', String(center));
+        reviewGraphMarker.setAttribute('x2', String(center));
+    }
+    reviewGraphMarker.setAttribute('visibility', column ? 'visible' : 'hidden');
+    reviewSelection.textContent = selection ? selection.text : 'Click the graph to see a position of the game.';
+}
+
+/**
+ * Colors the moves of the move list by their review class.
+ * @param {?Map<number, string>} classByNodeId - Move tree node id -> classification key; null removes the marks.
+ */
+function markMoveClassifications(classByNodeId) {
+    if (!moveList) return;
+    moveList.querySelectorAll('.history-move').forEach(move => {
+        [...move.classList].filter(name => name.startsWith('review-')).forEach(name => move.classList.remove(name));
+        const key = classByNodeId && classByNodeId.get(Number(move.dataset.nodeId));
+        if (key) move.classList.add(`review-${key}`);
+    });
+}
+
+function hideReview() {
+    if (!reviewPanel) return;
+    reviewPanel.hidden = true;
+    if (reviewGraph) reviewGraph.replaceChildren();
+    reviewGraphMarker = null;
+}
+
+// --- Chess Clocks ---
+
+/**
+ * Fills the time control picker of the settings panel and restores the saved choice.
+ * @param {Array<{id: string, label: string}>} presets - chessClock's TIME_CONTROL_PRESETS.
+ */
+function setupTimeControlSelect(presets) {
+    if (!timeControlSelect) return;
+    timeControlSelect.innerHTML = '';
+    presets.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.textContent = preset.label;
+        timeControlSelect.appendChild(option);
+    });
+    const storedId = readStoredValue(TIME_CONTROL_STORAGE_KEY);
+    if (presets.some(preset => preset.id === storedId)) timeControlSelect.value = storedId;
+    timeControlSelect.onchange = () => storeValue(TIME_CONTROL_STORAGE_KEY, timeControlSelect.value);
+}
+
+/** The id of the time control chosen for the next new game, or null if the picker is missing. */
+function getChosenTimeControl() {
+    return timeControlSelect ? timeControlSelect.value : null;
+}
+
+/** Shows or hides the clocks. */
+function showClocks(visible) {
+    if (timersDisplay) timersDisplay.hidden = !visible;
+}
+
+/**
+ * Redraws both clocks.
+ * @param {object} remainingMs - Color -> milliseconds left.
+ * @param {?string} activeColor - The side whose clock is running, if any.
+ * @param {?string} flaggedColor - The side whose time ran out, if any.
+ */
+function updateClocks(remainingMs, activeColor, flaggedColor) {
+    Object.entries(clockDisplays).forEach(([color, clock]) => {
+        if (!clock) return;
+        clock.querySelector('.clock-time').textContent = formatClockTime(remainingMs[color]);
+        clock.classList.toggle('active', color === activeColor);
+        clock.classList.toggle('low-time', remainingMs[color] < LOW_TIME_MS);
+        clock.classList.toggle('flagged', color === flaggedColor);
+    });
+}
+
+// --- Settings Panel ---
+
+/**
+ * Fills in the settings panel and enables the Settings button. The chosen difficulty is saved across reloads.
+ * @param {object} difficultyLevels - Level id -> { label, description }, weakest first (chessAI's DIFFICULTY_LEVELS).
+ * @param {string} defaultDifficulty - The level used when no valid choice has been saved.
+ * @param {function(string): void} onDifficultyChange - Called with the level id whenever the player picks another level.
+ * @returns {string} The level to start with: the saved choice, or defaultDifficulty.
+ */
+function setupSettingsPanel(difficultyLevels, defaultDifficulty, onDifficultyChange) {
+    const storedDifficulty = readStoredValue(DIFFICULTY_STORAGE_KEY);
+    const difficulty = storedDifficulty && Object.hasOwn(difficultyLevels, storedDifficulty) ? storedDifficulty : defaultDifficulty;
+    if (!settingsButton || !settingsOverlay || !difficultySelect) {
+        console.warn("Settings panel not found; keeping the default difficulty.");
+        return difficulty;
+    }
+    const showDescription = () => { if (difficultyDescription) difficultyDescription.textContent = difficultyLevels[difficultySelect.value].description; };
+    difficultySelect.innerHTML = '';
+    Object.entries(difficultyLevels).forEach(([id, level]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = level.label;
+        difficultySelect.appendChild(option);
+    });
+    difficultySelect.value = difficulty;
+    showDescription();
+    difficultySelect.onchange = () => {
+        storeValue(DIFFICULTY_STORAGE_KEY, difficultySelect.value);
+        showDescription();
+        onDifficultyChange(difficultySelect.value);
+    };
+    settingsButton.onclick = openSettingsPanel;
+    if (settingsCloseButton) settingsCloseButton.onclick = closeSettingsPanel;
+    settingsOverlay.addEventListener('click', (event) => { if (event.target === settingsOverlay) closeSettingsPanel(); });
+    settingsOverlay.addEventListener('keydown', (event) => { if (event.key === 'Escape') closeSettingsPanel(); });
+    settingsButton.disabled = false;
+    return difficulty;
+}
+
+function openSettingsPanel() {
+    settingsOverlay.hidden = false;
+    difficultySelect.focus();
+}
+
+function closeSettingsPanel() {
+    if (settingsOverlay) settingsOverlay.hidden = true;
+}
+
+/** Picks a difficulty level in the settings panel as if the player had chosen it, e.g. the level of a loaded game. */
+function selectDifficulty(difficulty) {
+    if (!difficultySelect || !difficultySelect.querySelector(`option[value="${difficulty}"]`)) return;
+    difficultySelect.value = difficulty;
+    difficultySelect.dispatchEvent(new Event('change'));
+}
+
+// --- Saved Games Dialog ---
+
+/**
+ * Wires up the Saved Games button and dialog. The dialog knows nothing about storage: it asks for the slot list
+ * each time it is shown and reports what the player picked.
+ * @param {object} handlers
+ * @param {function(): Array<{name: string, savedAt: string, summary: string}>} handlers.listSaves - Slots, newest first.
+ * @param {function(string): boolean} handlers.onSave - Saves the current game under a name; false if that failed.
+ * @param {function(string): boolean} handlers.onLoad - Loads a slot; false if it could not be loaded.
+ * @param {function(string): void} handlers.onDelete - Removes a slot.
+ */
+function setupSavesDialog({ listSaves, onSave, onLoad, onDelete }) {
+    if (!savesButton || !savesOverlay || !saveSlotList) { console.warn("Saved games dialog not found; saving by name is unavailable."); return; }
+    const render = () => {
+        saveSlotList.innerHTML = '';
+        const saves = listSaves();
+        saves.forEach(({ name, savedAt, summary }) => {
+            const item = document.createElement('li');
+            const label = document.createElement('div');
+            label.className = 'save-slot-label';
+            const title = document.createElement('strong');
+            title.textContent = name;
+            const details = document.createElement('span');
+            details.textContent = `${new Date(savedAt).toLocaleString()}${summary ? ` - ${summary}` : ''}`;
+            label.append(title, details);
+            const loadButton = document.createElement('button');
+            loadButton.textContent = 'Load';
+            loadButton.onclick = () => { if (onLoad(name)) closeSavesDialog(); };
+            const deleteButton = document.createElement('button');
+            deleteButton.textContent = 'Delete';
+            deleteButton.onclick = () => { if (window.confirm(`Delete the saved game "${name}"?`)) { onDelete(name); render(); } };
+            item.append(label, loadButton, deleteButton);
+            saveSlotList.appendChild(item);
+        });
+        if (savesEmptyMessage) savesEmptyMessage.hidden = saves.length > 0;
+    };
+    const save = () => {
+        const name = saveNameInput ? saveNameInput.value.trim() : '';
+        if (!name) { if (saveNameInput) saveNameInput.focus(); return; }
+        const exists = listSaves().some(entry => entry.name === name);
+        if (exists && !window.confirm(`Replace the saved game "${name}"?`)) return;
+        if (onSave(name)) { saveNameInput.value = ''; render(); }
+        else window.alert("The game could not be saved. Browser storage may be full or disabled.");
+    };
+    if (saveGameButton) saveGameButton.onclick = save;
+    if (saveNameInput) saveNameInput.onkeydown = (event) => { if (event.key === 'Enter') save(); };
+    if (savesCloseButton) savesCloseButton.onclick = closeSavesDialog;
+    savesOverlay.addEventListener('click', (event) => { if (event.target === savesOverlay) closeSavesDialog(); });
+    savesOverlay.addEventListener('keydown', (event) => { if (event.key === 'Escape') closeSavesDialog(); });
+    savesButton.onclick = () => { render(); savesOverlay.hidden = false; if (saveNameInput) saveNameInput.focus(); };
+    savesButton.disabled = false;
+}
+
+function closeSavesDialog() {
+    if (savesOverlay) savesOverlay.hidden = true;
+}
+
+/**
+ * Asks at start-up whether to carry on with the autosaved game.
+ * @param {string} summary - Short description of the saved game.
+ * @param {string} savedAt - ISO timestamp of the save.
+ * @returns {Promise<boolean>} True to resume, false to start a new game.
+ */
+function offerResume(summary, savedAt) {
+    if (!resumeOverlay || !resumeGameButton || !resumeNewGameButton) return Promise.resolve(false);
+    if (resumeMessage) resumeMessage.textContent = `${summary} (saved ${new Date(savedAt).toLocaleString()})`;
+    resumeOverlay.hidden = false;
+    resumeGameButton.focus();
+    return new Promise(resolve => {
+        const answer = (resume) => { resumeOverlay.hidden = true; resumeGameButton.onclick = resumeNewGameButton.onclick = null; resolve(resume); };
+        resumeGameButton.onclick = () => answer(true);
+        resumeNewGameButton.onclick = () => answer(false);
+    });
+}
+
+// --- Game Over Dialog ---
+
+/**
+ * Announces the end of a game, naming both players.
+ * @param {object} gameOverEvent - The 'gameOver' event payload ({ winner, reason }).
+ * @param {{white: string, black: string}} names - Display names by color.
+ */
+function showGameOverDialog(gameOverEvent, names) {
+    if (!gameOverOverlay || !gameOverTitle || !gameOverMessage) return;
+    const label = (color) => `${names[color]} (${color.charAt(0).toUpperCase() + color.slice(1)})`;
+    const { winner, reason } = gameOverEvent;
+    if (reason === 'checkmate' || reason === 'timeout') {
+        const loser = winner === COLORS.WHITE ? COLORS.BLACK : COLORS.WHITE;
+        gameOverTitle.textContent = reason === 'checkmate' ? 'Checkmate' : 'Out of time';
+        gameOverMessage.textContent = `${label(winner)} beats ${label(loser)}${reason === 'timeout' ? ' on time' : ''}.`;
+    } else {
+        const isStalemate = reason === DRAW_REASONS.STALEMATE;
+        gameOverTitle.textContent = isStalemate ? 'Stalemate' : 'Draw';
+        const how = isStalemate ? '' : ` by ${drawReasonText[reason] || 'agreement'}`;
+        gameOverMessage.textContent = `${label(COLORS.WHITE)} and ${label(COLORS.BLACK)} draw${how}.`;
+    }
+    gameOverOverlay.hidden = false;
+    if (gameOverCloseButton) gameOverCloseButton.focus();
+}
+
+function closeGameOverDialog() {
+    if (gameOverOverlay) gameOverOverlay.hidden = true;
+}
+
+/**
+ * Enables or disables the Undo and Redo buttons.
+ * @param {boolean} canUndo - Whether there is a move to take back.
+ * @param {boolean} canRedo - Whether there is a taken-back move to replay.
+ */
+function updateUndoRedoButtons(canUndo, canRedo) {
+    if (undoButton) undoButton.disabled = !canUndo;
+    if (redoButton) redoButton.disabled = !canRedo;
+}
+
+/**
+ * Shows the Claim draw button while the player to move may claim a draw.
+ * @param {boolean} canClaim
+ */
+function updateClaimDrawButton(canClaim) {
+    if (claimDrawButton) claimDrawButton.hidden = !canClaim;
+}
+
+/**
+ * Offers a text file to the user as a browser download.
+ * @param {string} filename - The suggested file name, e.g. "game.pgn".
+ * @param {string} text - The file contents.
+ * @param {string} [mimeType='text/plain'] - The MIME type of the file.
+ */
+function downloadTextFile(filename, text, mimeType = 'text/plain') {
+    const blob = new Blob([text], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Shows the game picker for an imported PGN file holding several games.
+ * @param {string[]} gameLabels - One display label per game, in file order.
+ * @param {Function} onSelect - Called with the 0-based index of the chosen game.
+ */
+function showPGNGameSelector(gameLabels, onSelect) {
+    if (!pgnGameSelect) { console.warn("Attempted to show PGN game selector, but element not found."); return; }
+    pgnGameSelect.innerHTML = '';
+    gameLabels.forEach((label, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = label;
+        pgnGameSelect.appendChild(option);
+    });
+    pgnGameSelect.onchange = () => onSelect(Number(pgnGameSelect.value));
+    pgnGameSelect.hidden = false;
+}
+
+/** Hides the imported-game picker. */
+function hidePGNGameSelector() {
+    if (pgnGameSelect) { pgnGameSelect.hidden = true; pgnGameSelect.innerHTML = ''; pgnGameSelect.onchange = null; }
+}
+
 /**
  * Sets up event listeners for UI controls, like the "New Game" button.
  * @param {Function} newGameHandler - The function from main.js to call when New Game is clicked.
+ * @param {object} [handlers={}] - Optional handlers for the other controls.
+ * @param {Function} [handlers.onExportPGN] - Called when Export PGN is clicked.
+ * @param {Function} [handlers.onImportPGN] - Called with (pgnText, fileName) after the user picks a .pgn file.
+ * @param {Function} [handlers.onUndo] - Called when Undo is clicked or Ctrl+Z is pressed.
+ * @param {Function} [handlers.onRedo] - Called when Redo is clicked or Ctrl+Y / Ctrl+Shift+Z is pressed.
  */
-function setupEventListeners(newGameHandler) {
+function setupEventListeners(newGameHandler, handlers = {}) {
     if (newGameButton) {
         // Remove existing listener first to prevent duplicates if called multiple times
         newGameButton.removeEventListener('click', newGameHandler);
@@ -217,12 +1204,42 @@ function setupEventListeners(newGameHandler) {
     } else {
          console.error("UI Setup Error: New Game button not found for event listener setup.");
     }
-    // Add listeners for other buttons (Settings, Quit, etc.) here when they are implemented
-    // Example:
-    // const settingsButton = document.getElementById('settings-btn');
-    // if (settingsButton) {
-    //     settingsButton.addEventListener('click', () => { console.log("Settings clicked (not implemented)"); });
-    // }
+    if (exportPgnButton && handlers.onExportPGN) {
+        exportPgnButton.removeEventListener('click', handlers.onExportPGN);
+        exportPgnButton.addEventListener('click', handlers.onExportPGN);
+    }
+    if (importPgnButton && importPgnInput && handlers.onImportPGN) {
+        importPgnButton.onclick = () => importPgnInput.click();
+        importPgnInput.onchange = async () => {
+            const file = importPgnInput.files[0];
+            importPgnInput.value = ''; // Allow re-importing the same file
+            if (!file) return;
+            try { handlers.onImportPGN(await file.text(), file.name); }
+            catch (error) { console.error("Failed to read PGN file:", error); updateGameStatusDisplay({ error: `Could not read ${file.name}.` }); }
+        };
+    }
+    if (undoButton && handlers.onUndo) undoButton.onclick = handlers.onUndo;
+    if (redoButton && handlers.onRedo) redoButton.onclick = handlers.onRedo;
+    if (claimDrawButton && handlers.onClaimDraw) claimDrawButton.onclick = handlers.onClaimDraw;
+    if (analysisButton && handlers.onToggleAnalysis) analysisButton.onclick = handlers.onToggleAnalysis;
+    if (handlers.onUndo || handlers.onRedo) {
+        document.onkeydown = (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.target.closest('input, select, textarea')) return;
+            const key = event.key.toLowerCase();
+            const isRedo = key === 'y' || (key === 'z' && event.shiftKey);
+            const handler = isRedo ? handlers.onRedo : (key === 'z' ? handlers.onUndo : null);
+            if (!handler) return;
+            event.preventDefault(); // Keep the browser's own undo/redo out of it
+            handler();
+        };
+    }
+    if (gameOverOverlay) {
+        if (gameOverNewGameButton) gameOverNewGameButton.onclick = () => { closeGameOverDialog(); newGameHandler(); };
+        if (gameOverCloseButton) gameOverCloseButton.onclick = closeGameOverDialog;
+        gameOverOverlay.onclick = (event) => { if (event.target === gameOverOverlay) closeGameOverDialog(); };
+        gameOverOverlay.onkeydown = (event) => { if (event.key === 'Escape') closeGameOverDialog(); };
+    }
+    // The Settings button is wired up by setupSettingsPanel()
 }
 
 // --- Export UI functions to be used by main.js ---
@@ -230,8 +1247,49 @@ export {
     initUIManager,
     updateTurnIndicator,
     updateCapturedPieces,
-    addMoveToHistory,
+    renderMoveTree,
     updateGameStatusDisplay,
+    updateUndoRedoButtons,
+    updateClaimDrawButton,
+    setupHistoryNavigation,
+    showHistoryPosition,
+    getReplayDelayMs,
+    setupAnnotationTools,
+    updateAnnotationTools,
+    askForComment,
+    askConfirmation,
+    showAnalysisMode,
+    updateAnalysis,
+    setupHints,
+    areHintsDisabled,
+    updateHintDisplay,
+    setupGameReview,
+    setReviewAvailable,
+    showReviewProgress,
+    showReview,
+    showReviewSelection,
+    markMoveClassifications,
+    hideReview,
+    promptPromotion,
+    closePromotionPicker,
+    getChosenSide,
+    setPlayers,
+    setupTimeControlSelect,
+    getChosenTimeControl,
+    showClocks,
+    updateClocks,
+    setupTwoPlayerSettings,
+    getTwoPlayerNames,
+    isCameraLocked,
+    setupSettingsPanel,
+    selectDifficulty,
+    setupSavesDialog,
+    offerResume,
+    showGameOverDialog,
+    closeGameOverDialog,
     setupEventListeners,
+    downloadTextFile,
+    showPGNGameSelector,
+    hidePGNGameSelector,
     clearUI
 };